@@ -1,12 +1,25 @@
 // Overdr1ve — Browser Prototype (8-cars / 8-tracks)
-const NUM_CARS   = 8;
-const NUM_TRACKS = 8;
-const POINTS = [25,18,15,12,10,8,6,4]; // 8-player scoring
-let playerDisplayName = "You"; // set from #playerNameInput on start
+// Rules live in engine.js (loaded first); this file is the DOM layer.
+const {
+  parseCSV, isUpgradeActiveOnTrack, parseTrackBonus, randomSeedCode, createRng,
+  loadCards, pickBestUpgradeGreedy, buildSeats, startSeason, resolveTrack, orderStandings, standingsHistory, isSeasonOver,
+  createRaceLog, raceLogTimeline, recordTrack, replayRaceLog, canUndo, canRedo,
+  RULE_PRESETS, normalizeRules, presetRules, handOf, adviseUpgrades, STRATEGIES, DEFAULT_STRATEGY, strategyLabel, decideBot, loadPolicy, serializeSeason, restoreSeason,
+  CARD_SCHEMA, validateCards,
+} = Overdr1veEngine;
+let selectedRules = presetRules("standard"); // ruleset for the next race (setup "Rules")
+const roster = []; // hot-seat humans added in setup: { name, carIndex }
+const botStrategies = []; // strategy id per bot seat, chosen in setup
 
 // ---------- DOM utils ----------
 function $(sel){ return document.querySelector(sel); }
 function el(tag, cls){ const e=document.createElement(tag); if(cls) e.className=cls; return e; }
+function downloadFile(filename, text, type="text/plain"){
+  const url = URL.createObjectURL(new Blob([text], {type}));
+  const a = el("a"); a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 // ---------- CSV helpers ----------
 async function fetchCSV(path){
@@ -14,129 +27,6 @@ async function fetchCSV(path){
   if(!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
   return parseCSV(await res.text());
 }
-function parseCSV(text){
-  const lines = text.trim().split(/\r?\n/);
-  const headers = lines[0].split(",").map(s=>s.trim());
-  const rows = [];
-  for(let i=1;i<lines.length;i++){
-    if(!lines[i].trim()) continue;
-    const parts = splitCSVLine(lines[i]);
-    const obj = {};
-    headers.forEach((h,idx)=> obj[h] = (parts[idx] ?? "").trim());
-    rows.push(obj);
-  }
-  return rows;
-}
-function splitCSVLine(line){
-  const out=[]; let cur=""; let inQ=false;
-  for(let i=0;i<line.length;i++){
-    const ch=line[i];
-    if(ch==='"'){ if(inQ && line[i+1]==='"'){cur+='"'; i++;} else inQ=!inQ; }
-    else if(ch==="," && !inQ){ out.push(cur); cur=""; }
-    else cur+=ch;
-  }
-  out.push(cur);
-  return out;
-}
-function toInt(v,f=0){ const n=parseInt(String(v).replace(/[^\d-]/g,""),10); return isNaN(n)?f:n; }
-function parseTrackBonus(s){
-  if(!s || !s.trim()) return {field:null, amount:0};
-  const m = s.match(/(-?\d+)\s*(Core Power|Max Laps)/i);
-  if(!m) return {field:null, amount:0};
-  return {field:m[2], amount:toInt(m[1])};
-}
-
-// ---------- Condition helpers ----------
-const CONDITION_KEYS = ["Track Type Condition","Condition","TrackType Condition","TrackTypeCondition"];
-function getUpgConditionRaw(upg){
-  for(const k of CONDITION_KEYS){
-    if(Object.prototype.hasOwnProperty.call(upg,k)){
-      const v=(upg[k]||"").trim();
-      if(v) return v;
-    }
-  }
-  return ""; // => Any
-}
-function norm(s){ return (s||"").toLowerCase().trim(); }
-function tokens(raw){
-  const m = norm(raw);
-  const set = new Set();
-  if(!m || m==="-" || m==="any"){ set.add("any"); return Array.from(set); }
-  if(m.includes("sun") || m.includes("☀")) set.add("sunny");
-  if(m.includes("night") || m.includes("🌙")) set.add("night");
-  if(m.includes("rain") || m.includes("☔")) set.add("rainy");
-  if(m.includes("twist") || m.includes("🌀")) set.add("twisty");
-  m.split(/[\/,|+ ]+/).forEach(tok=>{
-    const t=norm(tok);
-    if(["sunny","night","rainy","twisty"].includes(t)) set.add(t);
-  });
-  return set.size ? Array.from(set) : ["any"];
-}
-function conditionLabel(upg){
-  const raw = getUpgConditionRaw(upg);
-  return raw ? raw : "Any";
-}
-function isUpgradeActiveOnTrack(upg, trackType){
-  const want = tokens(getUpgConditionRaw(upg));
-  const on = tokens(trackType);
-  if(want.includes("any")) return true;
-  return want.some(w => on.includes(w));
-}
-function typesMatch(a, b){
-  const A = tokens(a), B = tokens(b);
-  return A.some(t => B.includes(t));
-}
-
-// ---------- Utils ----------
-function shuffle(arr){ const a=[...arr]; for(let i=a.length-1;i>0;i--){ const j=Math.random()*(i+1)|0; [a[i],a[j]]=[a[j],a[i]]; } return a; }
-function pickRandom(arr, n){ return shuffle(arr).slice(0, Math.min(n, arr.length)); }
-
-// ---------- Core calc ----------
-function computeEffective(car, track, upgrade){
-  const baseCP = toInt(car["Core Power"]);
-  const baseML = toInt(car["Max Laps"]);
-  const tb = parseTrackBonus(track["Type Bonus"]||"");
-
-  let cp=baseCP, ml=baseML;
-  let trackCP=0, trackML=0, upgCP=0, upgML=0;
-  let upgName="-", upgApplied=false, cond="-", condActive=false;
-
-  // Track bonus only if car type matches track type
-  if(typesMatch(car["Track Type"], track["Track Type"])){
-    if(tb.field==="Core Power"){ cp+=tb.amount; trackCP=tb.amount; }
-    if(tb.field==="Max Laps"){   ml+=tb.amount; trackML=tb.amount; }
-  }
-
-  if(upgrade){
-    cond = conditionLabel(upgrade);
-    condActive = isUpgradeActiveOnTrack(upgrade, track["Track Type"]);
-    if(condActive){
-      upgCP = toInt(upgrade["Core Power"]);
-      upgML = toInt(upgrade["Max Laps"]);
-      cp += upgCP; ml += upgML;
-      upgApplied = true;
-    }
-    upgName = upgrade["Upgrade"];
-  }
-
-  const totalLaps = toInt(track["Total Laps"]);
-  const dnf = ml < totalLaps;
-  return { cp, ml, dnf, upgName, upgApplied, baseCP, baseML, trackCP, trackML, upgCP, upgML, cond, condActive };
-}
-
-// ---------- Greedy pick ----------
-function pickBestUpgradeGreedy(car, track, upgrades, usedSet){
-  let best = { upg: null, eff: computeEffective(car, track, null), key: 0 };
-  best.key = (best.eff.dnf?0:1)*10_000_000 + best.eff.cp*10_000 + best.eff.ml;
-
-  for(const upg of upgrades){
-    if(usedSet && usedSet.has(upg["Upgrade"])) continue;
-    const eff = computeEffective(car, track, upg);
-    const key = (eff.dnf?0:1)*10_000_000 + eff.cp*10_000 + eff.ml;
-    if(!best || key > best.key) best = { upg, eff, key };
-  }
-  return best.upg; // can be null
-}
 
 // ---------- UI helpers ----------
 function renderCardKV(kv){
@@ -154,15 +44,16 @@ function renderTrackCard(track){
   const b = parseTrackBonus(track["Type Bonus"]);
   const badges = el("div");
   badges.innerHTML = `
-    <span class="badge">Type: ${track["Track Type"]}</span>
-    <span class="badge">Total Laps: ${track["Total Laps"]}</span>
-    <span class="badge">Bonus: ${b.amount} ${b.field ?? "-"}</span>`;
+    <span class="badge">${t("card.type")}: ${typeLabel(track["Track Type"])}</span>
+    <span class="badge">${t("card.totalLaps")}: ${track["Total Laps"]}</span>
+    <span class="badge">${t("card.bonus")}: ${b.amount} ${b.field ? statLabel(b.field) : "-"}</span>`;
   wrap.appendChild(badges);
   wrap.appendChild(renderCardKV([
-    ["Name", track["Track"]],
-    ["Track Type", track["Track Type"]],
-    ["Total Laps", track["Total Laps"]],
-    ["Type Bonus", track["Type Bonus"] || "-"],
+    [t("card.name"), track["Track"]],
+    [t("card.trackType"), typeLabel(track["Track Type"])],
+    [t("card.totalLaps"), track["Total Laps"]],
+    [t("card.typeBonus"), b.field ? `${b.amount} ${statLabel(b.field)}` : "-"],
+    ...(track["Effect"] ? [[t("card.effect"), track["Effect"]]] : []),
   ]));
   return wrap;
 }
@@ -170,11 +61,12 @@ function renderCarCard(car){
   const wrap = el("div");
   wrap.innerHTML = artTag('cars', car["Car"]);
   const badges = el("div");
-  badges.innerHTML = `<span class="badge">${car["Car"]}</span><span class="badge">Type: ${car["Track Type"]}</span>`;
+  badges.innerHTML = `<span class="badge">${car["Car"]}</span><span class="badge">${t("card.type")}: ${typeLabel(car["Track Type"])}</span>`;
   wrap.appendChild(badges);
   wrap.appendChild(renderCardKV([
-    ["Core Power", car["Core Power"]],
-    ["Max Laps", car["Max Laps"]],
+    [t("card.corePower"), car["Core Power"]],
+    [t("card.maxLaps"), car["Max Laps"]],
+    ...(car["Effect"] ? [[t("card.effect"), car["Effect"]]] : []),
   ]));
   return wrap;
 }
@@ -195,9 +87,17 @@ function renderCarPicker(){
     const label = `${car["Car"]} — CP ${car["Core Power"]}, ML ${car["Max Laps"]}`;
     btn.innerHTML = `${art}<div class="label">${label}</div>`;
 
+    btn.setAttribute('aria-label', `${label}, ${typeLabel(car["Track Type"])}`);
     if (sel.value === String(idx)) btn.classList.add('selected');
+    const owner = roster.find(h => h.carIndex === idx);
+    if (owner) {
+      btn.classList.add('disabled'); btn.title = t("setup.takenBy", {name: owner.name});
+      btn.setAttribute('aria-disabled', 'true');
+      btn.setAttribute('aria-label', `${btn.getAttribute('aria-label')}, ${btn.title}`);
+    }
 
     btn.addEventListener('click', () => {
+      if (btn.classList.contains('disabled')) return;
       sel.value = String(idx);
       syncCarPickerSelection();
       updateCarPreviewByIndex(idx);
@@ -205,12 +105,15 @@ function renderCarPicker(){
 
     wrap.appendChild(btn);
   });
+  makeRovingPicker(wrap, t("picker.cars"));
 }
 function syncCarPickerSelection(){
   const selVal = $('#carSelect').value;
   document.querySelectorAll('#carPicker .pick').forEach(p => {
     p.classList.toggle('selected', p.dataset.value === selVal);
+    p.setAttribute('aria-checked', String(p.dataset.value === selVal));
   });
+  syncRovingTabStops($('#carPicker'));
 }
 
 function renderUpgradePicker(){
@@ -238,6 +141,7 @@ function renderUpgradePicker(){
 
     const art = (value === "-1") ? "" : artTagPortrait('upgrades', imgName);
     btn.innerHTML = `${art}<div class="label">${label}</div>`;
+    btn.setAttribute('aria-label', label);
 
     if (sel.value === value) btn.classList.add('selected');
 
@@ -250,18 +154,68 @@ function renderUpgradePicker(){
 
     wrap.appendChild(btn);
   });
+  makeRovingPicker(wrap, t("picker.upgrades"));
 }
 function syncUpgradePickerSelection(){
   const selVal = $('#upgradeSelect').value;
   document.querySelectorAll('#upgradePicker .pick').forEach(p => {
     p.classList.toggle('selected', p.dataset.value === selVal);
+    p.setAttribute('aria-checked', String(p.dataset.value === selVal));
   });
+  syncRovingTabStops($('#upgradePicker'));
 }
 function markUpgradeAvailability(checkFn){
   document.querySelectorAll('#upgradePicker .pick').forEach(p => {
     const ok = checkFn(p.dataset.value);
     p.classList.toggle('disabled', !ok);
+    p.setAttribute('aria-disabled', String(!ok));
+  });
+  syncRovingTabStops($('#upgradePicker'));
+}
+
+// ---------- Keyboard pickers ----------
+// A picker is one tab stop (roving tabindex): arrow keys move between tiles,
+// skipping disabled ones, Home/End jump to the ends. Radio pickers select as
+// focus moves; the others (selectOnMove:false) act on Enter/Space.
+function makeRovingPicker(wrap, label, {selectOnMove=true}={}){
+  wrap.setAttribute('role', selectOnMove ? 'radiogroup' : 'group');
+  wrap.setAttribute('aria-label', label);
+  wrap.querySelectorAll('.pick').forEach(p => {
+    if (selectOnMove) {
+      p.setAttribute('role', 'radio');
+      p.setAttribute('aria-checked', String(p.classList.contains('selected')));
+    }
   });
+  wrap.onkeydown = e => {
+    const items = [...wrap.querySelectorAll('.pick')];
+    const from = items.indexOf(document.activeElement);
+    if (from < 0) return;
+    // tiles per row, from the layout (1 when there is none)
+    const cols = Math.max(1, items.filter(p => p.offsetTop === items[0].offsetTop).length);
+    const step = { ArrowRight:1, ArrowLeft:-1, ArrowDown:cols, ArrowUp:-cols }[e.key];
+    let to = null;
+    const enabled = p => p.getAttribute('aria-disabled') !== 'true';
+    if (step) {
+      // no enabled tile that way (e.g. straight above the top row): stay put
+      for (let i = from + step; i >= 0 && i < items.length; i += step) if (enabled(items[i])) { to = items[i]; break; }
+    } else if (e.key === 'Home') to = items.find(enabled);
+    else if (e.key === 'End') to = [...items].reverse().find(enabled);
+    else return;
+    e.preventDefault();
+    if (!to) return;
+    items.forEach(p => { p.tabIndex = p === to ? 0 : -1; });
+    to.focus();
+    if (selectOnMove) to.click();
+  };
+  syncRovingTabStops(wrap);
+}
+// The tab stop follows the selection (else the first enabled tile).
+function syncRovingTabStops(wrap){
+  if (!wrap) return;
+  const items = [...wrap.querySelectorAll('.pick')];
+  const enabled = items.filter(p => p.getAttribute('aria-disabled') !== 'true');
+  const stop = enabled.find(p => p.classList.contains('selected')) || enabled[0] || items[0];
+  items.forEach(p => { p.tabIndex = p === stop ? 0 : -1; });
 }
 
 // table helper
@@ -276,7 +230,7 @@ function table(headers, rows){
   rows.forEach(r=>{
     const meta = Array.isArray(r) ? {cells:r} : r;
     const tr=el("tr");
-    if(meta.rowClass) tr.classList.add(meta.rowClass);
+    if(meta.rowClass) tr.className = meta.rowClass;
     meta.cells.forEach(c=>{
       const td=el("td");
       if(c && c.el) td.appendChild(c.el); else td.textContent=(c??"");
@@ -296,9 +250,12 @@ const state = {
   tracks: [],
   upgrades: [],
   players: [], // { id,name,isHuman,car,points,wins,finishes,usedUpgrades:Set }
+  seed: "",     // active seed code (shown in the race panel)
+  rng: null,    // createRng(seed) — the only source of game randomness
   currentTrackIndex: 0,
   resultsByTrack: [],
   started: false,
+  dataIssues: [], // validateCards() + missing art, shown in #dataReport
 };
 
 // ---------- Load data ----------
@@ -307,19 +264,76 @@ async function loadData(){
   const tracks   = await fetchCSV("./data_csv/tracks.csv");
   const upgrades = await fetchCSV("./data_csv/upgrades.csv");
 
-  for(const c of cars){ c["Core Power"]=toInt(c["Core Power"]); c["Max Laps"]=toInt(c["Max Laps"]); }
-  for(const t of tracks){ t["Total Laps"]=toInt(t["Total Laps"]); }
-  for(const u of upgrades){ u["Core Power"]=toInt(u["Core Power"]); u["Max Laps"]=toInt(u["Max Laps"]); }
+  // validate the raw cells before loadCards() coerces them
+  state.dataIssues = validateCards({cars, tracks, upgrades});
+  state.dataIssues.push(...await findMissingCardArt({cars, tracks, upgrades}));
 
-  state.cars = cars.slice(0, NUM_CARS);
-  state.allTracks = tracks.slice(0, Math.max(NUM_TRACKS, 1));
-  state.upgrades = upgrades.slice(0, NUM_TRACKS); // single-use per track (8)
+  Object.assign(state, loadCards({cars, tracks, upgrades}));
 
   // Dev helpers
   window._dbgUpgrades = state.upgrades;
   window._dbgAllTracks = state.allTracks;
 }
 
+// ---------- Card data report ----------
+const ART_KINDS = { "cars.csv": "cars", "tracks.csv": "tracks", "upgrades.csv": "upgrades" };
+async function findMissingCardArt(raw){
+  const checks = [];
+  for (const [file, sc] of Object.entries(CARD_SCHEMA)) {
+    (raw[sc.key] || []).forEach((card, i) => {
+      const name = card[sc.name];
+      if (!name) return;
+      const src = getCardImagePath(ART_KINDS[file], name);
+      checks.push(fetch(src, { method: "HEAD" })
+        .then(res => res.ok, () => false)
+        .then(ok => ok ? null : { severity: "warning", file, row: i + 2, column: sc.name, message: t("data.missingArt", {path: decodeURIComponent(src)}) }));
+    });
+  }
+  return (await Promise.all(checks)).filter(Boolean);
+}
+
+// Lists every problem in the CSVs above setup. Errors hold setup back until
+// the user chooses to continue anyway.
+// hold=false redraws the report without holding setup back again.
+function renderDataReport(issues, {hold=true}={}){
+  const host = $("#dataReport");
+  if (!host) return;
+  host.innerHTML = "";
+  host.classList.toggle("hidden", !issues.length);
+  if (!issues.length) return;
+
+  const errors = issues.filter(i => i.severity === "error").length;
+  const warnings = issues.length - errors;
+  const box = el("details");
+  box.open = errors > 0;
+  const summary = el("summary");
+  summary.innerHTML = `<strong>${t("data.title")}</strong> `;
+  if (errors) summary.appendChild(badge(t(errors === 1 ? "data.error" : "data.errors", {n: errors}), "dnf"));
+  if (warnings) summary.appendChild(badge(t(warnings === 1 ? "data.warning" : "data.warnings", {n: warnings})));
+  box.appendChild(summary);
+
+  const rows = issues.map(i => ({
+    rowClass: i.severity === "error" ? "issue-error" : "",
+    cells: [ {el: badge(t(`severity.${i.severity}`), i.severity === "error" ? "dnf" : "")}, i.file, i.row, i.column, i.message ],
+  }));
+  box.appendChild(table(issueHeaders(), rows));
+  host.appendChild(box);
+
+  if (!hold) return;
+  $("#setupSection").classList.toggle("hidden", errors > 0);
+  if (errors) {
+    const go = el("button", "btn secondary");
+    go.type = "button";
+    go.textContent = t("data.continue");
+    go.onclick = () => { $("#setupSection").classList.remove("hidden"); box.open = false; go.remove(); };
+    host.appendChild(go);
+  }
+}
+
+function issueHeaders(){
+  return ["data.severity","data.file","data.row","data.column","data.problem"].map(k => t(k));
+}
+
 // ---------- Setup UI ----------
 function updateCarPreviewByIndex(idx){
   const host = $('#carPreview');
@@ -337,76 +351,339 @@ function initSetupUI(){
   state.cars.forEach((c, idx) => {
     const opt = el("option");
     opt.value = String(idx);
-    opt.textContent = `${c["Car"]} — CP ${c["Core Power"]}, ML ${c["Max Laps"]} (${c["Track Type"]})`;
+    opt.textContent = `${c["Car"]} — CP ${c["Core Power"]}, ML ${c["Max Laps"]} (${typeLabel(c["Track Type"])})`;
     carSel.appendChild(opt);
   });
 
-  // Default to first car
-  carSel.value = "0";
+  // Default to the first car nobody in the roster has taken
+  const firstFree = Math.max(0, state.cars.findIndex((c, idx) => !roster.some(h => h.carIndex === idx)));
+  carSel.value = String(firstFree);
   renderCarPicker();
   syncCarPickerSelection();
-  updateCarPreviewByIndex(0);
+  updateCarPreviewByIndex(firstFree);
+  renderRulesForm();
+  renderRoster();
+  renderBotSeats();
+  renderTournamentPlan(); // tournament.js
+  syncTrackCountLabels(selectedRules.trackCount);
 
-  carSel.addEventListener("change", syncCarPickerSelection);
+  carSel.onchange = syncCarPickerSelection;
 
-  // Header simulate-all (works only after race starts)
-  $("#simulateAllTopBtn")?.addEventListener("click", () => {
-    if (!state.started) return;
-    simulateAll();
-  });
+  $("#addPlayerBtn").onclick = addRosterPlayer;
 
-  // SINGLE start handler: set player name + start with selected car
+  // SINGLE start handler: the roster races; with no roster it's a solo game
+  // with the typed name + selected car
   $("#startBtn").onclick = () => {
-    const idx = parseInt(carSel.value, 10) || 0;
-    const nameInput = $("#playerNameInput")?.value.trim();
-    playerDisplayName = nameInput || "You";
-    startRace(idx);
+    const humans = roster.length ? [...roster] : [{
+      name: $("#playerNameInput")?.value.trim() || t("setup.defaultName"),
+      carIndex: parseInt(carSel.value, 10) || 0,
+    }];
+    const seasons = parseInt($("#championshipInput")?.value, 10) || 1;
+    state.tournament = null;
+    state.championship = newChampionship(humans, $("#seedInput")?.value || "", seasons);
+    startRace(humans, state.championship ? championshipSeed(state.championship, 1) : $("#seedInput")?.value);
   };
 }
 
-// ---------- Start race ----------
-function startRace(playerCarIndex){
-  if (typeof playerCarIndex !== "number") playerCarIndex = 0;
+// ---------- Hot-seat roster ----------
+function addRosterPlayer(){
+  const msg = $("#rosterMsg");
+  const idx = parseInt($("#carSelect").value, 10) || 0;
+  const nameInput = $("#playerNameInput");
+  const name = nameInput.value.trim() || t("setup.playerN", {n: roster.length + 1});
+
+  if (roster.length >= gridSize()) { msg.textContent = t("setup.gridFull"); return; }
+  const owner = roster.find(h => h.carIndex === idx);
+  if (owner) { msg.textContent = t("setup.carTaken", {car: state.cars[idx]["Car"], name: owner.name}); return; }
+  if (roster.some(h => h.name.toLowerCase() === name.toLowerCase())) { msg.textContent = t("setup.nameTaken", {name}); return; }
+
+  msg.textContent = "";
+  roster.push({ name, carIndex: idx });
+  nameInput.value = "";
+  initSetupUI();
+}
+function renderRoster(){
+  const host = $("#rosterList");
+  if (!host) return;
+  host.innerHTML = "";
+  roster.forEach((h, i) => {
+    const item = el("li");
+    item.textContent = `${h.name} — ${state.cars[h.carIndex]?.["Car"] ?? "?"}`;
+    const rm = el("button", "btn secondary small");
+    rm.type = "button";
+    rm.textContent = t("setup.remove");
+    rm.onclick = () => { roster.splice(i, 1); initSetupUI(); };
+    item.appendChild(rm);
+    host.appendChild(item);
+  });
+  const tooMany = roster.length > gridSize();
+  if (tooMany) $("#rosterMsg").textContent = t("setup.tooMany", {seats: gridSize(), n: roster.length - gridSize()});
+  $("#startBtn").disabled = tooMany;
+  $("#startBtn").textContent = roster.length > 1
+    ? t("setup.startPlayers", {n: roster.length, tracks: selectedRules.trackCount})
+    : t("setup.start", {tracks: selectedRules.trackCount});
+}
 
-  state.tracks = pickRandom(state.allTracks, NUM_TRACKS);
+// ---------- Rules setup ----------
+function gridSize(){ return Math.min(selectedRules.fieldSize, state.cars.length); }
 
-  const pool=[...state.cars];
-  const playerCar=pool[playerCarIndex] ?? pool[0];
-  const playerIndex = pool.indexOf(playerCar);
-  if (playerIndex >= 0) pool.splice(playerIndex,1);
+function renderRulesForm(){
+  const preset = $("#rulesPreset");
+  if (!preset) return;
+  preset.innerHTML = "";
+  Object.keys(RULE_PRESETS).forEach(id => {
+    const opt = el("option"); opt.value = id; opt.textContent = presetText(id); preset.appendChild(opt);
+  });
+  const custom = el("option"); custom.value = "custom"; custom.textContent = t("rules.custom"); preset.appendChild(custom);
+  const r = selectedRules;
+  const match = Object.keys(RULE_PRESETS).find(id => JSON.stringify(presetRules(id)) === JSON.stringify(r));
+  preset.value = match || "custom";
+  $("#ruleFieldSize").value = r.fieldSize;
+  $("#ruleFieldSize").max = state.cars.length;
+  $("#ruleTrackCount").value = r.trackCount;
+  $("#rulePoints").value = r.points.join(", ");
+  $("#ruleDnfPoints").value = r.dnfPoints;
+  $("#ruleHand").value = r.upgradeHand === "full" ? "" : r.upgradeHand;
+  $("#ruleHand").max = state.upgrades.length;
+  $("#ruleDraft").checked = r.draft;
+}
+function readRulesForm(){
+  const hand = $("#ruleHand").value.trim();
+  return normalizeRules({
+    fieldSize: $("#ruleFieldSize").value,
+    trackCount: $("#ruleTrackCount").value,
+    points: $("#rulePoints").value,
+    dnfPoints: $("#ruleDnfPoints").value,
+    upgradeHand: hand ? hand : "full",
+    draft: $("#ruleDraft").checked,
+  });
+}
+function setRules(rules){
+  selectedRules = rules;
+  initSetupUI();
+}
+function initRulesUI(){
+  $("#rulesPreset").onchange = e => { if (e.target.value !== "custom") setRules(presetRules(e.target.value)); };
+  ["#ruleFieldSize", "#ruleTrackCount", "#rulePoints", "#ruleDnfPoints", "#ruleHand", "#ruleDraft"].forEach(id => {
+    $(id).onchange = () => setRules(readRulesForm());
+  });
+}
+function syncTrackCountLabels(count){
+  const label = t("race.simulateAll", {n: count});
+  $("#simulateAllTopBtn").textContent = label;
+  $("#simulateAllBtn").textContent = label;
+}
 
-  const botCars = pool.slice(0, Math.min(NUM_CARS-1, pool.length));
+// ---------- Bot seats ----------
+function renderBotSeats(){
+  const host = $("#botSeats");
+  if (!host) return;
+  host.innerHTML = "";
+  const count = gridSize() - Math.max(1, roster.length);
+  for (let i = 0; i < count; i++) {
+    const row = el("label", "bot-seat");
+    const name = el("span"); name.textContent = t("bot.name", {n: i + 1});
+    const sel = el("select");
+    Object.values(STRATEGIES).forEach(st => {
+      const opt = el("option");
+      opt.value = st.id;
+      opt.textContent = strategyText(st.id);
+      sel.appendChild(opt);
+    });
+    sel.value = botStrategies[i] || DEFAULT_STRATEGY;
+    sel.onchange = () => { botStrategies[i] = sel.value; };
+    row.appendChild(name); row.appendChild(sel);
+    host.appendChild(row);
+  }
+}
 
-  state.players=[
-    {id:1,name:playerDisplayName,isHuman:true,car:playerCar,points:0,wins:0,finishes:0,usedUpgrades:new Set()},
-    ...botCars.map((c,i)=>({id:i+2,name:`Bot ${i+1}`,isHuman:false,car:c,points:0,wins:0,finishes:0,usedUpgrades:new Set()}))
-  ];
-  state.currentTrackIndex=0;
-  state.resultsByTrack=[];
-  state.started=true;
+// ---------- Start race ----------
+// humans: [{ name, carIndex }] — everyone else is a bot. Tournament heats
+// (tournament.js) bring their own rules.
+function startRace(humans, seedCode, rules=selectedRules){
+  const seats = buildSeats(state.cars, humans, {seatCount: rules.fieldSize, strategies: botStrategies});
+  Object.assign(state, startSeason(state, {seed: seedCode, seats, rules}));
+  syncTrackCountLabels(state.tracks.length);
+  state.picks = [];            // locked-in human decisions for the current track
+  state.pickTurn = 0;          // which human is picking
+  state.handoffConfirmed = false;
+  state.ratingChanges = null;  // filled by recordSeasonEnd()
+  state.ratingPrior = null;
+  state.raceLog = null;        // opens at the first track (after any draft)
 
   $("#setupSection").classList.add("hidden");
   $("#raceSection").classList.remove("hidden");
-  renderRaceUI();
+  $("#trackResults").innerHTML = "";
+  $("#trackHistory").innerHTML = "";
+  if (state.draft) showDraft(); // draft.js; the race UI follows the last pick
+  else renderRaceUI();
+  syncRacePhase();
+  autosave();
+}
+
+// ---------- Race controller ----------
+// The race's phase, and the one place the race buttons get their handlers
+// (initRaceController(), once). Actions check the phase before doing
+// anything; views subscribe with onRaceChange() and redraw from it.
+//   setup → picking → resolving → picking … → finished
+//   Simulate All: picking → resolving → between → resolving … → finished
+// "setup" covers the draft; online, "resolving" is the wait for the server.
+const RACE_PHASES = ["setup", "picking", "resolving", "between", "finished"];
+const race = { phase: "setup" };
+const raceListeners = new Set();
+
+// fn(phase, previous) runs on every change, including a redraw in the same
+// phase (a hot-seat pass, an undo). Returns the unsubscribe function.
+function onRaceChange(fn){
+  raceListeners.add(fn);
+  return () => raceListeners.delete(fn);
+}
+function setRacePhase(phase){
+  if (!RACE_PHASES.includes(phase)) throw new Error(`Unknown race phase "${phase}"`);
+  const previous = race.phase;
+  race.phase = phase;
+  raceListeners.forEach(fn => fn(phase, previous));
+}
+// The phase the season itself is in, once nothing is running.
+function syncRacePhase(){
+  if (!state.started || state.draft) setRacePhase("setup");
+  else if (isSeasonOver(state)) setRacePhase("finished");
+  else if (state.online && !state.online.waiting.includes(state.online.pid)) setRacePhase("resolving");
+  else setRacePhase("picking");
+}
+function raceSettled(){ return race.phase === "picking" || race.phase === "finished"; }
+
+function syncRaceControls(phase){
+  const picking = phase === "picking";
+  ["#simulateTrackBtn", "#useGreedyPickBtn", "#upgradeSelect"].forEach(id => { $(id).disabled = !picking; });
+  // hot-seat drivers each pick in secret, so their races go one track at a time
+  const hotSeat = state.started && isHotSeat();
+  ["#simulateAllBtn", "#simulateAllTopBtn"].forEach(id => {
+    $(id).disabled = !picking || !!state.online || hotSeat;
+    $(id).title = hotSeat ? t("race.simulateAllHotSeat") : "";
+  });
+}
+function initRaceController(){
+  $("#simulateTrackBtn").onclick = simulateTrack;
+  $("#useGreedyPickBtn").onclick = useGreedyPick;
+  $("#upgradeSelect").onchange = syncUpgradePickerSelection;
+  $("#simulateAllBtn").onclick = simulateAll;
+  $("#simulateAllTopBtn").onclick = simulateAll;
+  $("#resetBtn").onclick = resetGame;
+  $("#undoTrackBtn").onclick = undoTrack;
+  $("#redoTrackBtn").onclick = redoTrack;
+  $("#replayStandingsBtn").onclick = replayStandings;
+  onRaceChange(syncRaceControls);
+  onRaceChange(phase => { if (phase !== "setup") renderRaceLog(); });
+  setRacePhase("setup");
 }
 
 // ---------- Race UI ----------
+function renderSeedBadge(){
+  const code = $("#seedCode");
+  if (code) code.textContent = state.seed || "-";
+  const copyBtn = $("#copySeedBtn");
+  if (copyBtn) copyBtn.onclick = () => navigator.clipboard?.writeText(state.seed).catch(() => {});
+}
+
+function humanPlayers(){ return state.players.filter(p=>p.isHuman); }
+// state.online (online.js) = {pid, ...} while the race lives on a server
+function isHotSeat(){ return !state.online && humanPlayers().length > 1; }
+function currentPicker(){
+  if (state.online) return state.players.find(p => p.id === state.online.pid);
+  const hs = humanPlayers(); return hs[state.pickTurn] ?? hs[0];
+}
+function displayName(p){
+  const you = state.online ? p.id === state.online.pid : p.isHuman && !isHotSeat();
+  const name = p.isHuman ? p.name : botName(p.name);
+  return you ? t("player.you", {name}) : name;
+}
+
+// Hot-seat: hide the picker until the next driver confirms they have the device.
+function renderHandoff(player){
+  const humans = humanPlayers();
+  const waiting = isHotSeat() && !state.handoffConfirmed;
+  $("#handoff").classList.toggle("hidden", !waiting);
+  $("#pickPanel").classList.toggle("hidden", waiting);
+  $("#pickTitle").textContent = isHotSeat()
+    ? t("race.pickTitleTurn", {name: player.name, turn: state.pickTurn + 1, of: humans.length})
+    : t("race.pickTitle");
+  $("#playerCardTitle").textContent = isHotSeat() ? t("race.theirCar", {name: player.name}) : t("race.yourCar");
+  $("#simulateTrackBtn").textContent = state.online ? t("race.lockIn")
+    : state.pickTurn < humans.length - 1 ? t("race.lockInPass") : t("race.simulate");
+  if (!waiting) return;
+  $("#handoffText").textContent = t("handoff.text", {name: player.name});
+  const go = $("#handoffBtn");
+  go.textContent = t("handoff.upgrades", {name: player.name});
+  go.onclick = () => { state.handoffConfirmed = true; renderRaceUI(); $("#upgradePicker .pick[tabindex='0']")?.focus(); };
+  go.focus();
+}
+
+// ---------- What-if advisor ----------
+// Projected result of every option for the picking player: noted on each
+// picker tile and listed in the what-if table (click a row to pick it).
+function renderUpgradeAdvice(player){
+  const advice = adviseUpgrades(state, player);
+  const valueOf = a => a.upgrade ? String(state.upgrades.indexOf(a.upgrade)) : "-1";
+  const finish = a => a.dnf ? t("result.dnf") : `P${a.pos+1}`;
+
+  advice.forEach(a => {
+    const tile = document.querySelector(`#upgradePicker .pick[data-value="${valueOf(a)}"]`);
+    if (!tile) return;
+    const note = el("div", "advice");
+    note.textContent = `${finish(a)} · ${t("advice.points", {n: a.points})}` + (a.cost ? ` · ${t("advice.later", {n: a.cost})}` : "");
+    tile.classList.toggle("recommended", a.recommended);
+    tile.appendChild(note);
+    tile.setAttribute("aria-label", `${tile.getAttribute("aria-label")}, ${t("advice.projected", {note: note.textContent})}` +
+      (a.recommended ? `, ${t("advice.best")}` : ""));
+  });
+
+  const host = $("#upgradeAdvice");
+  host.innerHTML = "";
+  const rows = advice.map(a => {
+    const status = a.dnf ? badge(t("result.dnf"), "dnf") : badge(t("advice.finishes"), "ok");
+    if (a.upgrade && !a.condActive) status.textContent += ` · ${t("advice.noEffect")}`;
+    return {
+      rowClass: a.recommended ? "recommended" : "",
+      cells: [ (a.upgrade ? a.upgrade["Upgrade"] : t("race.noUpgrade")) + (a.recommended ? " ★" : ""),
+               a.effCP, a.effML, {el: status}, finish(a), a.points,
+               a.cost === null ? "?" : a.cost ? `−${a.cost}` : "0",
+               a.total === null ? "?" : a.total ]
+    };
+  });
+  const tbl = table(["advice.option","result.effCP","result.effML","result.status","advice.projectedCol","result.points","advice.costLater","advice.seasonPts"].map(k => t(k)), rows);
+  tbl.querySelectorAll("tbody tr").forEach((tr, i) => {
+    tr.classList.add("clickable");
+    tr.onclick = () => { $("#upgradeSelect").value = valueOf(advice[i]); syncUpgradePickerSelection(); };
+  });
+  host.appendChild(tbl);
+}
+
 function renderRaceUI(){
   const track = state.tracks[state.currentTrackIndex];
+  renderSeedBadge();
 
   $("#trackCard").innerHTML=""; $("#trackCard").appendChild(renderTrackCard(track));
-  const player = state.players.find(p=>p.isHuman);
+  const player = currentPicker();
   $("#playerCard").innerHTML=""; $("#playerCard").appendChild(renderCarCard(player.car));
+  if (player.active.length) { // persisting upgrades (Effect "persist:N")
+    const inPlay = el("div", "muted in-play");
+    inPlay.textContent = t("race.inPlay") + " " + player.active.map(a =>
+      `${a.upgrade["Upgrade"]} (${t(a.left > 1 ? "race.moreTracks" : "race.moreTrack", {n: a.left})}${a.shield ? `, ${t("race.shield")}` : ""})`).join(", ");
+    $("#playerCard").appendChild(inPlay);
+  }
+  renderHandoff(player);
 
   const upSel=$("#upgradeSelect");
   upSel.innerHTML="";
-  const none=el("option"); none.value="-1"; none.textContent="(No upgrade)"; upSel.appendChild(none);
+  const none=el("option"); none.value="-1"; none.textContent=t("race.noUpgrade"); upSel.appendChild(none);
 
-  state.upgrades.forEach((u,idx)=>{
+  handOf(state, player).forEach(u=>{
     if(player.usedUpgrades.has(u["Upgrade"])) return; // single-use
     const opt=el("option");
-    opt.value=String(idx);
-    opt.textContent=`${u["Upgrade"]} — +CP ${u["Core Power"]}, +ML ${u["Max Laps"]} [${conditionLabel(u)}]`;
+    opt.value=String(state.upgrades.indexOf(u));
+    opt.textContent=`${u["Upgrade"]} — +CP ${u["Core Power"]}, +ML ${u["Max Laps"]} [${conditionText(u)}]` +
+      (u["Effect"] ? ` · ${u["Effect"]}` : "");
     opt.dataset.upg = u["Upgrade"];
     upSel.appendChild(opt);
   });
@@ -414,7 +691,6 @@ function renderRaceUI(){
   // Build the visual picker + gray-out
   try {
     renderUpgradePicker();
-    upSel.onchange = () => syncUpgradePickerSelection();
 
     markUpgradeAvailability((val) => {
       if (val === "-1") return true;
@@ -422,30 +698,36 @@ function renderRaceUI(){
       const u = Number.isNaN(i) ? null : state.upgrades[i];
       return !!u && isUpgradeActiveOnTrack(u, track["Track Type"]);
     });
+    renderUpgradeAdvice(player);
   } catch (e) {
     console.error("renderUpgradePicker/markAvailability failed:", e);
   }
 
-  // Buttons (defensive binding)
-  $("#useGreedyPickBtn")?.addEventListener("click", () => {
-    const best=pickBestUpgradeGreedy(player.car, track, state.upgrades, player.usedUpgrades);
-    if(!best){ upSel.value="-1"; syncUpgradePickerSelection(); return; }
-    const idx=state.upgrades.findIndex(u=>u["Upgrade"]===best["Upgrade"]);
-    upSel.value=(idx>=0 && !player.usedUpgrades.has(best["Upgrade"])) ? String(idx) : "-1";
-    syncUpgradePickerSelection();
-  });
-
-  $("#simulateTrackBtn")?.addEventListener("click", simulateTrack);
-  $("#simulateAllBtn")?.addEventListener("click", simulateAll); // panel button
-  $("#resetBtn")?.addEventListener("click", resetGame);
-
   renderStandings();
 }
 
+// "Pick Best For Me": the greedy pick for whoever is picking now.
+function useGreedyPick(){
+  if (race.phase !== "picking") return;
+  const track = state.tracks[state.currentTrackIndex];
+  const player = currentPicker();
+  const upSel = $("#upgradeSelect");
+  const best=pickBestUpgradeGreedy(player.car, track, handOf(state, player), player.usedUpgrades, {carried: player.active});
+  if(!best){ upSel.value="-1"; syncUpgradePickerSelection(); return; }
+  const idx=state.upgrades.findIndex(u=>u["Upgrade"]===best["Upgrade"]);
+  upSel.value=(idx>=0 && !player.usedUpgrades.has(best["Upgrade"])) ? String(idx) : "-1";
+  syncUpgradePickerSelection();
+}
+
 // ---------- Simulate one track ----------
+// Locks in the current human's pick; once every human has picked, the bots
+// decide and the track resolves.
 function simulateTrack(){
+  if (race.phase === "picking") lockInPick({animate: true});
+}
+function lockInPick({animate=false}={}){
   const track = state.tracks[state.currentTrackIndex];
-  const player = state.players.find(p=>p.isHuman);
+  const player = currentPicker();
   const autoPick = $("#autoPickTrack")?.checked;
 
   let selectedIdx = parseInt($("#upgradeSelect").value,10);
@@ -456,152 +738,476 @@ function simulateTrack(){
     playerUpgrade = state.upgrades[selectedIdx];
     if(player.usedUpgrades.has(playerUpgrade["Upgrade"])) playerUpgrade=null;
   } else if(autoPick){
-    playerUpgrade = pickBestUpgradeGreedy(player.car, track, state.upgrades, player.usedUpgrades);
+    playerUpgrade = pickBestUpgradeGreedy(player.car, track, handOf(state, player), player.usedUpgrades, {carried: player.active});
   }
+  if (state.online) { setRacePhase("resolving"); sendOnlinePick(playerUpgrade); return; } // the server resolves
 
-  const decisions=[];
-  for(const p of state.players){
-    let upg=null;
-    if(p.isHuman) upg = playerUpgrade;
-    else upg = pickBestUpgradeGreedy(p.car, track, state.upgrades, p.usedUpgrades);
-    decisions.push({pid:p.id, upgrade:upg});
+  state.picks.push({pid: player.id, upgrade: playerUpgrade});
+  if (state.pickTurn < humanPlayers().length - 1) {
+    state.pickTurn += 1;
+    state.handoffConfirmed = false;
+    renderRaceUI();
+    setRacePhase("picking");
+    autosave();
+    return;
   }
 
-  const results = state.players.map(p=>{
-    const picked = decisions.find(d=>d.pid===p.id)?.upgrade || null;
-    const eff = computeEffective(p.car, track, picked);
-    return { id:p.id, name:p.name, isHuman:p.isHuman, car:p.car["Car"],
-      effCP:eff.cp, effML:eff.ml, dnf:eff.dnf, upgrade:eff.upgName,
-      upgApplied:eff.upgApplied, cond:eff.cond, condActive:eff.condActive, br:eff };
-  });
+  setRacePhase("resolving");
 
-  const finishers = results
-    .filter(r => !r.dnf)
-    .sort((a, b) =>
-      (b.effCP - a.effCP) ||
-      (b.effML - a.effML) ||
-      (a.id - b.id)
-    );
-  const dnfs = results
-    .filter(r => r.dnf)
-    .sort((a, b) =>
-      (b.effCP - a.effCP) ||
-      (b.effML - a.effML) ||
-      (a.id - b.id)
-    );
-  const ranked = [...finishers, ...dnfs];
-
-  ranked.forEach((r,i)=>{
-    const pl = state.players.find(p=>p.id===r.id);
-    const pts = r.dnf ? 0 : (POINTS[i] ?? 0);
-    pl.points += pts;
-    if(!r.dnf) pl.finishes += 1;
-  });
-  if(finishers.length){
-    const wid = finishers[0].id;
-    const w = state.players.find(p=>p.id===wid);
-    if(w) w.wins += 1;
-  }
-
-  // mark used upgrades (single-use)
-  for(const d of decisions){
-    if(d.upgrade){
-      const pl = state.players.find(p=>p.id===d.pid);
-      pl.usedUpgrades.add(d.upgrade["Upgrade"]);
-    }
-  }
+  const log = raceLog(); // before the bots draw on the rng
+  const decisions = state.players.map(p => p.isHuman
+    ? state.picks.find(d => d.pid === p.id)
+    : {pid: p.id, upgrade: decideBot(state, p, track)});
+  state.picks = []; state.pickTurn = 0; state.handoffConfirmed = false;
 
-  state.resultsByTrack.push({track, ranked});
-  renderTrackResults(ranked, track);
+  recordTrack(state, log, decisions);
+  showTrackResult(state.resultsByTrack.length - 1, {animate});
+  announceTrackResult(state.resultsByTrack.length - 1);
   renderStandings();
+  if (state.currentTrackIndex >= state.tracks.length) recordSeasonEnd();
+  autosave();
 
-  state.currentTrackIndex += 1;
   if(state.currentTrackIndex >= state.tracks.length){
-    $("#simulateTrackBtn").disabled=true;
-    $("#useGreedyPickBtn").disabled=true;
-    $("#upgradeSelect").disabled=true;
-    $("#simulateAllBtn").disabled=true;
-    setTimeout(showEndOfRaceModal, 700);
+    finishRaceUI();
   } else {
     renderRaceUI();
   }
+  syncRacePhase();
+}
+let endModalTimer = null;
+function finishRaceUI(){
+  clearTimeout(endModalTimer);
+  endModalTimer = setTimeout(showEndOfRaceModal, 700);
 }
 
 // ---------- Simulate all ----------
+// Plays every remaining pick, pausing "between" tracks; stops if the race
+// leaves that phase meanwhile (reset, or a new season).
 async function simulateAll(){
-  while(state.currentTrackIndex < state.tracks.length){
-    simulateTrack();
+  if (race.phase !== "picking" || state.online || isHotSeat()) return;
+  while(!isSeasonOver(state)){
+    lockInPick();
+    if (isSeasonOver(state)) break;
+    setRacePhase("between");
     await new Promise(r=>setTimeout(r,120));
+    if (race.phase !== "between") return;
   }
+  syncRacePhase();
+}
+
+// ---------- Race log (undo / redo) ----------
+// Tracks resolve through the engine's race log (recordTrack()). Undo, redo
+// and "try again from here" append an event and the season is replayed from
+// the log; picks already locked in for the current track are dropped.
+function raceLog(){ return state.raceLog ||= createRaceLog(state); }
+
+function changeRaceLog(event){
+  if (!raceSettled() || state.online || !state.raceLog) return;
+  const wasOver = isSeasonOver(state);
+  state.raceLog.events.push(event);
+  try {
+    Object.assign(state, replayRaceLog(state.raceLog, state));
+  } catch (e) {
+    state.raceLog.events.pop();
+    alert(`${t("log.failed")}\n\n${e.message}`);
+    return;
+  }
+  if (wasOver && !isSeasonOver(state)) unrecordSeasonEnd(); // championship.js
+  if (!wasOver && isSeasonOver(state)) recordSeasonEnd();
+  state.picks = []; state.pickTurn = 0; state.handoffConfirmed = false;
+  stopStandingsReplay();
+  showSeason();
+  autosave();
+}
+function undoTrack(){ if (canUndo(state.raceLog)) changeRaceLog({type: "undo"}); }
+function redoTrack(){ if (canRedo(state.raceLog)) changeRaceLog({type: "redo"}); }
+function retryFrom(kept){ changeRaceLog({type: "rewind", to: kept}); }
+
+function logTrackText(e){ return t("log.track", {n: e.index + 1, track: e.track}); }
+function renderRaceLog(){
+  const panel = $("#raceLogPanel");
+  panel.classList.toggle("hidden", !!state.online); // the server owns online seasons
+  const log = state.raceLog;
+  $("#undoTrackBtn").disabled = !raceSettled() || !canUndo(log);
+  $("#redoTrackBtn").disabled = !raceSettled() || !canRedo(log);
+
+  const host = $("#raceLogList");
+  host.innerHTML = "";
+  const {applied, steps} = log ? raceLogTimeline(log) : {applied: [], steps: []};
+  if (!steps.length) {
+    host.appendChild(Object.assign(el("li", "note"), {textContent: t("log.empty")}));
+    return;
+  }
+  steps.forEach(({event, tracks}) => {
+    const item = el("li");
+    const moved = tracks.map(logTrackText).join(", ");
+    if (event.type === "undo") item.textContent = t("log.undid", {tracks: moved});
+    else if (event.type === "redo") item.textContent = t("log.redid", {tracks: moved});
+    else if (event.type === "rewind") item.textContent = t("log.rewound", {n: event.to + 1, tracks: moved});
+    if (event.type !== "track") { item.className = "note"; host.appendChild(item); return; }
+
+    const plays = event.decisions.map(d => {
+      const p = state.players.find(pl => pl.id === d.pid);
+      return t("log.played", {name: p ? displayName(p) : d.pid, upgrade: d.upgrade || t("race.noUpgrade")});
+    });
+    const kept = applied.indexOf(event);
+    item.textContent = `${logTrackText(event)} — ${plays.join("; ")}`;
+    if (kept < 0) {
+      item.className = "undone";
+      item.textContent += ` ${t("log.undone")}`;
+    } else {
+      const retry = el("button", "btn secondary small");
+      retry.type = "button";
+      retry.textContent = t("log.retry");
+      retry.setAttribute("aria-label", t("log.retryTrack", {n: event.index + 1, track: event.track}));
+      retry.disabled = !raceSettled();
+      retry.onclick = () => retryFrom(kept);
+      item.appendChild(retry);
+    }
+    host.appendChild(item);
+  });
+  host.scrollTop = host.scrollHeight;
 }
 
 // ---------- Results + standings ----------
-function renderTrackResults(ranked, track){
+// With `animate` the table waits under the race view (raceview.js) until the
+// race has been run or skipped.
+function renderTrackResults(ranked, track, {animate=false}={}){
   const host=$("#trackResults"); host.innerHTML="";
   const rows = ranked.map((r,i)=>{
     const pos=i+1;
-    const status = r.dnf ? {el:badge("DNF","dnf")} : {el:badge("Finished","ok")};
+    const status = r.dnf ? {el:badge(t("result.dnf"),"dnf")}
+      : {el:badge(r.br.shield ? `${t("result.finished")} · ${t("result.shield", {name: r.br.shield})}` : t("result.finished"), "ok")};
     const applied = r.upgApplied ? "✓" : "—";
 
     const cpSpan = el("span");
     cpSpan.textContent = r.effCP;
-    cpSpan.title = `CP = Base ${r.br.baseCP} + Track ${r.br.trackCP} + Upgrade ${r.br.upgCP}`;
+    cpSpan.title = modifierTitle(r.br, "cp");
 
     const mlSpan = el("span");
     mlSpan.textContent = r.effML;
-    mlSpan.title = `ML = Base ${r.br.baseML} + Track ${r.br.trackML} + Upgrade ${r.br.upgML}`;
+    mlSpan.title = modifierTitle(r.br, "ml");
 
     const condSpan = el("span");
-    condSpan.textContent = r.cond;
-    condSpan.title = r.condActive ? "Condition active" : "Condition NOT active";
+    condSpan.textContent = r.cond === "-" ? r.cond : typeLabel(r.cond);
+    condSpan.title = r.condActive ? t("result.condActive") : t("result.condInactive");
 
     return {
       rowClass: r.isHuman ? "you-row" : "",
-      cells: [pos, r.name+(r.isHuman?" (You)":"") , r.car, {el:cpSpan}, {el:mlSpan},
-              status, r.upgrade||"-", {el:condSpan}, applied, r.dnf?0:(POINTS[i]??0)]
+      cells: [pos, displayName(r), r.car, {el:cpSpan}, {el:mlSpan},
+              status, r.upgrade||"-", {el:condSpan}, applied, r.points]
     };
   });
 
   const tbl = table(
-    ["Pos","Player","Car","Eff. CP","Eff. ML","Status","Upgrade","Condition","Upg OK?","Points"],
+    ["result.pos","result.player","result.car","result.effCP","result.effML","result.status","result.upgrade","result.condition","result.upgOK","result.points"].map(k => t(k)),
     rows
   );
 
+  const bonus = parseTrackBonus(track["Type Bonus"]);
   const title = el("div");
-  title.innerHTML = `<div class="row"><strong>Track:</strong> ${track["Track"]}
-    &nbsp; <span class="badge">Type: ${track["Track Type"]}</span>
-    <span class="badge">Laps: ${track["Total Laps"]}</span>
-    <span class="badge">Bonus: ${track["Type Bonus"]||"-"}</span></div>`;
+  title.innerHTML = `<div class="row"><strong>${t("result.track")}</strong> ${track["Track"]}
+    &nbsp; <span class="badge">${t("card.type")}: ${typeLabel(track["Track Type"])}</span>
+    <span class="badge">${t("result.laps")}: ${track["Total Laps"]}</span>
+    <span class="badge">${t("card.bonus")}: ${bonus.field ? `${bonus.amount} ${statLabel(bonus.field)}` : "-"}</span>
+    ${track["Effect"] ? `<span class="badge">${t("result.hazard")}: ${track["Effect"]}</span>` : ""}</div>`;
 
   host.appendChild(title);
+  if (animate) tbl.classList.add("hidden");
+  host.appendChild(renderRaceView(ranked, track, {animate, onDone: () => {
+    tbl.classList.remove("hidden");
+    syncPresenter(); // presenter.js held back while the race played
+  }}));
   host.appendChild(tbl);
 }
+// CP/ML tooltip: every modifier in the order it was applied, e.g.
+// "CP: Base 320 → Track bonus +30 → Upgrade 09 +10% (+35) = 385".
+// Results saved before card effects only carry the three flat parts, and
+// older modifiers only their English label.
+function modifierLabel(m){ return m.key ? t(`mod.${m.key}`, {name: m.name}) : m.label; }
+function modifierTitle(br, stat){
+  const name = stat.toUpperCase();
+  if (!br.mods) {
+    const part = k => br[k + name];
+    return t("mod.flat", {stat: name, base: part("base"), track: part("track"), upgrade: part("upg")});
+  }
+  const signed = n => (n >= 0 ? "+" : "−") + Math.abs(n);
+  const steps = br.mods.filter(m => m.stat === stat).map((m, i) =>
+    i === 0 ? `${modifierLabel(m)} ${m.delta}`
+      : m.pct !== null ? `${modifierLabel(m)} ${signed(m.pct)}% (${signed(m.delta)})` : `${modifierLabel(m)} ${signed(m.delta)}`);
+  const shield = stat === "ml" && br.shield ? `\n${t("mod.shield", {name: br.shield})}` : "";
+  return `${name}: ${steps.join(" → ")} = ${br[stat]}${shield}`;
+}
+// ---------- Track history ----------
+// Any completed track can be reopened; the latest one shows by default.
+function showTrackResult(idx, {animate=false}={}){
+  const entry = state.resultsByTrack[idx];
+  if (!entry) return;
+  renderTrackResults(entry.ranked, entry.track, {animate});
+  renderTrackHistory(idx);
+}
+function renderTrackHistory(selected){
+  const host = $("#trackHistory"); host.innerHTML = "";
+  state.resultsByTrack.forEach((entry, i) => {
+    const b = el("button", `btn small ${i === selected ? "primary" : "secondary"}`);
+    b.type = "button";
+    b.textContent = `${i+1}. ${entry.track["Track"]}`;
+    b.setAttribute("aria-pressed", String(i === selected));
+    b.onclick = () => showTrackResult(i);
+    host.appendChild(b);
+  });
+}
+
+// ---------- Standings + replay ----------
+let standingsReplayTimer = null;
+
 function renderStandings(){
+  stopStandingsReplay();
+  renderStandingsAfter(state.resultsByTrack.length);
+  renderPointsChart($("#chartPointsRace"));
+}
+// Standings after the first n tracks, with each player's move since track n-1.
+function renderStandingsAfter(n){
   const host=$("#standings"); host.innerHTML="";
-  const ordered = [...state.players].sort((a, b) =>
-    (b.points - a.points) ||
-    (b.wins - a.wins) ||
-    (b.finishes - a.finishes) ||
-    (a.id - b.id)
-  );
-  const rows=ordered.map((p,i)=>({
-    rowClass: p.isHuman ? "you-row" : "",
-    cells: [ i+1, p.name+(p.isHuman?" (You)":"") , p.car["Car"], p.points, p.wins, `${p.finishes}/${state.resultsByTrack.length}` ]
-  }));
-  host.appendChild(table(["Rank","Player","Car","Points","Wins","Finishes"], rows));
+  const history = standingsHistory(state);
+  const ordered = n ? history[n-1] : orderStandings(state.players);
+  const before = n > 1 ? history[n-2] : null;
+  const rows=ordered.map((p,i)=>{
+    const move = rankMove(before, p.id, i);
+    return {
+      rowClass: [p.isHuman ? "you-row" : "", move.moved ? "rank-moved" : ""].join(" ").trim(),
+      cells: [ i+1, {el: move.el}, displayName(p), p.car["Car"], p.points, p.wins, `${p.finishes}/${n}` ]
+    };
+  });
+  host.appendChild(table(["standings.rank","","result.player","result.car","result.points","standings.wins","standings.finishes"].map(k => k && t(k)), rows));
+  $("#replayStandingsBtn").disabled = state.resultsByTrack.length < 2;
+}
+function rankMove(before, id, rank){
+  const span = el("span", "rank-move");
+  const prev = before ? before.findIndex(q => q.id === id) : rank;
+  const delta = prev - rank;
+  if (delta > 0) { span.textContent = `▲${delta}`; span.classList.add("up"); }
+  else if (delta < 0) { span.textContent = `▼${-delta}`; span.classList.add("down"); }
+  else span.textContent = "–";
+  span.title = delta ? t(delta > 0 ? "standings.up" : "standings.down", {n: Math.abs(delta)}) : t("standings.same");
+  return { el: span, moved: delta !== 0 };
+}
+// Steps the table through the season one track at a time; click again to stop.
+function replayStandings(){
+  if (standingsReplayTimer) { renderStandings(); return; }
+  const total = state.resultsByTrack.length;
+  let n = 0;
+  $("#replayStandingsBtn").textContent = t("standings.stop");
+  const step = () => {
+    n += 1;
+    renderStandingsAfter(n);
+    $("#standingsCaption").textContent = t("standings.after", {n, total, track: state.resultsByTrack[n-1].track["Track"]});
+    if (n >= total) { stopStandingsReplay(false); return; }
+    standingsReplayTimer = setTimeout(step, 900);
+  };
+  step();
+}
+function stopStandingsReplay(clearCaption=true){
+  clearTimeout(standingsReplayTimer);
+  standingsReplayTimer = null;
+  $("#replayStandingsBtn").textContent = t("standings.replay");
+  if (clearCaption) $("#standingsCaption").textContent = "";
 }
 
 function resetGame(){
+  if (state.online) { leaveOnline(); return; } // keeps the local autosave
+  clearAutosave();
+  returnToSetup();
+}
+function returnToSetup(){
   state.players=[]; state.currentTrackIndex=0; state.resultsByTrack=[]; state.started=false;
-  $("#raceSection").classList.add("hidden"); $("#setupSection").classList.remove("hidden");
-  $("#simulateTrackBtn").disabled=false; $("#useGreedyPickBtn").disabled=false;
-  $("#upgradeSelect").disabled=false; $("#simulateAllBtn").disabled=false;
+  state.championship=null; state.tournament=null; state.ratingChanges=null; state.ratingPrior=null; state.raceLog=null;
+  syncTopbarButtons();
+  $("#raceSection").classList.add("hidden"); $("#draftSection").classList.add("hidden");
+  $("#setupSection").classList.remove("hidden");
+  setRacePhase("setup");
   initSetupUI();
 }
 
+// ---------- Save / resume ----------
+// The season autosaves to localStorage after every start, pick and track, and
+// can be exported/imported as a versioned JSON file (see serializeSeason()).
+const SAVE_KEY = "overdr1ve.season";
+
+function seasonSnapshot(){
+  const data = serializeSeason(state);
+  // hot-seat picks already locked in for the current track
+  data.hotSeat = {
+    pickTurn: state.pickTurn,
+    picks: state.picks.map(d => ({ pid: d.pid, upgrade: d.upgrade ? d.upgrade["Upgrade"] : null })),
+  };
+  data.championship = state.championship || null; // championship.js
+  data.tournament = state.tournament || null; // tournament.js
+  data.ratingChanges = state.ratingChanges || null;
+  data.ratingPrior = state.ratingPrior || null;
+  data.raceLog = state.raceLog || null;
+  return data;
+}
+function autosave(){
+  syncTopbarButtons();
+  if (!state.started || state.online) return; // online seasons live on the server
+  try { localStorage.setItem(SAVE_KEY, JSON.stringify(seasonSnapshot())); }
+  catch (e) { console.warn("Autosave failed:", e); }
+}
+function readAutosave(){
+  try { return JSON.parse(localStorage.getItem(SAVE_KEY) || "null"); }
+  catch (e) { console.warn("Ignoring unreadable autosave:", e); return null; }
+}
+function clearAutosave(){
+  try { localStorage.removeItem(SAVE_KEY); } catch (e) { /* storage unavailable */ }
+}
+
+// Throws (via restoreSeason) if the file isn't a usable season.
+function resumeSeason(data){
+  Object.assign(state, restoreSeason(data));
+  const hotSeat = data.hotSeat || {};
+  state.pickTurn = hotSeat.pickTurn || 0;
+  state.picks = (hotSeat.picks || []).map(d => ({
+    pid: d.pid,
+    upgrade: state.upgrades.find(u => u["Upgrade"] === d.upgrade) || null,
+  }));
+  state.handoffConfirmed = false;
+  state.championship = data.championship || null;
+  state.tournament = data.tournament || null;
+  state.ratingChanges = data.ratingChanges || null;
+  state.ratingPrior = data.ratingPrior || null;
+  state.raceLog = data.raceLog || null;
+  if (!state.tournament) selectedRules = state.rules; // heats run on the tournament's own rules
+  syncTrackCountLabels(state.tracks.length);
+
+  $("#setupSection").classList.add("hidden");
+  $("#raceSection").classList.remove("hidden");
+  showSeason();
+  autosave();
+}
+// Race panel for the season as it stands (resume, undo/redo).
+function showSeason(){
+  clearTimeout(endModalTimer);
+  $("#endModal").classList.remove("open");
+  $("#trackResults").innerHTML = "";
+  $("#trackHistory").innerHTML = "";
+  if (state.resultsByTrack.length) showTrackResult(state.resultsByTrack.length - 1);
+
+  if (state.currentTrackIndex >= state.tracks.length) {
+    renderSeedBadge();
+    renderStandings();
+    finishRaceUI();
+  } else if (state.draft) {
+    showDraft();
+  } else {
+    renderRaceUI();
+  }
+  syncRacePhase();
+}
+
+function exportSeason(){
+  if (!state.started) return;
+  const name = `overdr1ve-season-${state.seed}-track${state.currentTrackIndex}.json`;
+  downloadFile(name, JSON.stringify(seasonSnapshot(), null, 2), "application/json");
+}
+async function importSeasonFile(file){
+  try { resumeSeason(JSON.parse(await file.text())); }
+  catch (e) { alert(`${t("save.importFailed", {file: file.name})}\n\n${e.message}`); }
+}
+function syncTopbarButtons(){
+  const exportBtn = $("#exportSeasonBtn");
+  if (exportBtn) exportBtn.disabled = !state.started;
+  const editorBtn = $("#openEditorBtn"); // cards are locked while a season runs
+  if (editorBtn) editorBtn.disabled = state.started;
+  const balanceBtn = $("#openBalanceBtn");
+  if (balanceBtn) balanceBtn.disabled = state.started;
+  const leaderboardBtn = $("#openLeaderboardBtn");
+  if (leaderboardBtn) leaderboardBtn.disabled = state.started;
+}
+
+function initSeasonFileUI(){
+  $("#exportSeasonBtn").onclick = exportSeason;
+  const input = $("#importSeasonInput");
+  $("#importSeasonBtn").onclick = () => input.click();
+  input.onchange = () => {
+    if (input.files[0]) importSeasonFile(input.files[0]);
+    input.value = "";
+  };
+  syncTopbarButtons();
+
+  const saved = readAutosave();
+  if (!saved?.season) return;
+  const box = $("#resumeBox");
+  const sv = saved.season;
+  const humans = sv.players.filter(p => p.isHuman).map(p => p.name).join(", ");
+  $("#resumeText").textContent = t("save.resume", {
+    humans,
+    where: sv.draft ? t("save.drafting") : t("save.track", {n: Math.min(sv.currentTrackIndex + 1, sv.tracks.length), of: sv.tracks.length}),
+    seed: sv.seed,
+  }) + (saved.championship ? t("save.championship", {
+    n: saved.championship.seasons.length + (sv.currentTrackIndex < sv.tracks.length ? 1 : 0), of: saved.championship.length,
+  }) : saved.tournament ? t("save.tournament", {n: saved.tournament.players.length}) : ".");
+  box.classList.remove("hidden");
+  $("#resumeBtn").onclick = () => {
+    box.classList.add("hidden");
+    try { resumeSeason(saved); }
+    catch (e) { clearAutosave(); alert(`${t("save.resumeFailed")}\n\n${e.message}`); }
+  };
+  $("#discardSaveBtn").onclick = () => { clearAutosave(); box.classList.add("hidden"); };
+}
+
+// ---------- Points progression (SVG line chart) ----------
+function renderPointsChart(host){
+  const history = standingsHistory(state);
+  renderLineChart(host,
+    [t("chart.start"), ...state.resultsByTrack.map((_, i) => `T${i+1}`)],
+    orderStandings(state.players).map(p => ({
+      label: displayName(p),
+      highlight: p.isHuman,
+      values: [0, ...history.map(snap => snap.find(q => q.id === p.id).points)],
+    })));
+}
+// series: [{label, values, highlight}], one value per x label
+function renderLineChart(host, xLabels, series){
+  host.innerHTML = "";
+  if (xLabels.length < 2) { host.appendChild(Object.assign(el("small", "muted"), {textContent: t("chart.empty")})); return; }
+  const W = 560, H = 220, L = 36, R = 10, T = 10, B = 22;
+  const maxVal = Math.max(1, ...series.flatMap(s => s.values));
+  const x = i => L + i * (W - L - R) / (xLabels.length - 1);
+  const y = v => H - B - v / maxVal * (H - T - B);
+  const svgEl = (tag, attrs) => {
+    const n = document.createElementNS("http://www.w3.org/2000/svg", tag);
+    Object.entries(attrs).forEach(([k, v]) => n.setAttribute(k, v));
+    return n;
+  };
+  const svg = svgEl("svg", { viewBox: `0 0 ${W} ${H}`, class: "linechart", role: "img",
+    "aria-label": t("chart.label", {n: series.length}) });
+  [0, maxVal].forEach(v => {
+    svg.appendChild(svgEl("line", { x1: L, x2: W - R, y1: y(v), y2: y(v), class: "grid" }));
+    const label = svgEl("text", { x: L - 4, y: y(v) + 4, "text-anchor": "end" }); label.textContent = v; svg.appendChild(label);
+  });
+  xLabels.forEach((lab, i) => {
+    const label = svgEl("text", { x: x(i), y: H - 6, "text-anchor": "middle" }); label.textContent = lab; svg.appendChild(label);
+  });
+  const legend = el("div", "linelegend");
+  series.forEach((s, i) => {
+    const color = `hsl(${Math.round(i * 360 / series.length)},85%,62%)`;
+    const line = svgEl("polyline", { points: s.values.map((v, j) => `${x(j)},${y(v)}`).join(" "),
+      fill: "none", stroke: color, "stroke-width": s.highlight ? 3 : 1.5 });
+    const tip = svgEl("title", {}); tip.textContent = `${s.label}: ${t("advice.points", {n: s.values[s.values.length - 1]})}`;
+    line.appendChild(tip);
+    svg.appendChild(line);
+    const item = el("span", s.highlight ? "you" : "");
+    const swatch = el("i"); swatch.style.background = color;
+    item.appendChild(swatch); item.append(s.label);
+    legend.appendChild(item);
+  });
+  host.appendChild(svg);
+  host.appendChild(legend);
+}
+
 // ---------- Mini bar chart ----------
-function renderBarChart(hostId, labels, values, {suffix="", max=null}={}){
-  const host = document.getElementById(hostId);
+function renderBarChart(host, labels, values, {suffix="", max=null}={}){
   host.innerHTML = "";
   const wrap = el("div","barwrap");
   const maxVal = max ?? Math.max(...values, 1);
@@ -620,21 +1226,92 @@ function renderBarChart(hostId, labels, values, {suffix="", max=null}={}){
   host.appendChild(wrap);
 }
 
+// ---------- Screen-reader announcements ----------
+// One polite live region (#announcer). Emptied first so repeating the same
+// sentence is still read out.
+function announce(text){
+  const host = $("#announcer");
+  if (!host) return;
+  host.textContent = "";
+  setTimeout(() => { host.textContent = text; }, 50);
+}
+// "Monaco: 1st Alice, 2nd Bot 3, 3rd Bob. You finished 1st, 25 points."
+function announceTrackResult(idx){
+  const entry = state.resultsByTrack[idx];
+  if (!entry) return;
+  const podium = entry.ranked.filter(r => !r.dnf).slice(0, 3)
+    .map((r, i) => `${ordinal(i + 1)} ${playerName(r)}`);
+  const who = r => isHotSeat() || state.online ? r.name : t("announce.you");
+  const own = humansIn(entry.ranked).map(({p: r, i}) => r.dnf
+    ? t("announce.dnf", {name: who(r)})
+    : t("announce.finished", {name: who(r), pos: ordinal(i + 1), points: r.points}));
+  announce(`${entry.track["Track"]}: ${podium.length ? podium.join(", ") : t("announce.nobody")}. ${own.join(" ")}`);
+}
+
+// ---------- Keyboard shortcuts ----------
+// S = Simulate / Lock in, G = Pick best for me. Only while the picker is on
+// screen and the button could be pressed; never while typing in a field.
+const SHORTCUTS = { s: "#simulateTrackBtn", g: "#useGreedyPickBtn" };
+function initKeyboardShortcuts(){
+  document.addEventListener("keydown", e => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    const id = SHORTCUTS[e.key.toLowerCase()];
+    if (!id) return;
+    if (e.target.closest?.("input, select, textarea, [contenteditable]")) return;
+    if ($("#endModal").classList.contains("open")) return;
+    const btn = $(id);
+    if (!btn || btn.disabled || btn.closest(".hidden")) return; // setup, handoff or draft on screen
+    e.preventDefault();
+    btn.click();
+  });
+}
+
+// ---------- Reduced motion ----------
+// Follows the OS setting until the topbar toggle is used; the choice is kept.
+const REDUCE_MOTION_KEY = "overdr1ve.reduceMotion";
+function prefersReducedMotion(){
+  try {
+    const saved = localStorage.getItem(REDUCE_MOTION_KEY);
+    if (saved !== null) return saved === "1";
+  } catch (e) { /* storage unavailable */ }
+  return !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+}
+function applyReducedMotion(on){
+  document.body.classList.toggle("reduce-motion", on);
+  $("#reduceMotionToggle").checked = on;
+}
+function initReducedMotionUI(){
+  applyReducedMotion(prefersReducedMotion());
+  $("#reduceMotionToggle").onchange = e => {
+    try { localStorage.setItem(REDUCE_MOTION_KEY, e.target.checked ? "1" : "0"); }
+    catch (err) { /* storage unavailable */ }
+    applyReducedMotion(e.target.checked);
+  };
+}
+
 // ---------- Confetti & modal ----------
+// The drivers at this screen (online: just this one), with their rank.
+function humansIn(ordered){
+  return ordered.map((p, i) => ({p, i}))
+    .filter(({p}) => state.online ? p.id === state.online.pid : p.isHuman);
+}
 function launchConfetti(durationMs=2500, count=160){
+  if (document.body.classList.contains("reduce-motion")) return;
   const canvas = document.getElementById("confetti");
   const ctx = canvas.getContext("2d");
   const DPR = window.devicePixelRatio || 1;
   function resize(){ canvas.width = innerWidth*DPR; canvas.height = innerHeight*DPR; canvas.style.display="block"; }
   resize(); window.addEventListener("resize", resize, {once:true});
 
+  // own stream derived from the seed, so it never shifts the game's draws
+  const rnd = createRng(`${state.seed || randomSeedCode()}/confetti`);
   const parts = Array.from({length:count}, () => ({
-    x: Math.random()*canvas.width,
-    y: -Math.random()*canvas.height*0.5,
-    r: 2 + Math.random()*3,
-    vx: (Math.random()-0.5)*1.5*DPR,
-    vy: (2 + Math.random()*2.5)*DPR,
-    color: `hsl(${Math.random()*360},100%,60%)`,
+    x: rnd()*canvas.width,
+    y: -rnd()*canvas.height*0.5,
+    r: 2 + rnd()*3,
+    vx: (rnd()-0.5)*1.5*DPR,
+    vy: (2 + rnd()*2.5)*DPR,
+    color: `hsl(${rnd()*360},100%,60%)`,
     alpha: 1
   }));
   const t0 = performance.now();
@@ -650,26 +1327,13 @@ function launchConfetti(durationMs=2500, count=160){
   }
   requestAnimationFrame(tick);
 }
-function showEndOfRaceModal(){
-  const modal = document.getElementById("endModal");
-  const closeBtn = document.getElementById("closeEndModal");
-  const lb = document.getElementById("finalLeaderboard");
-  lb.innerHTML = "";
-
-  const ordered = [...state.players].sort((a, b) =>
-    (b.points - a.points) ||
-    (b.wins - a.wins) ||
-    (b.finishes - a.finishes) ||
-    (a.id - b.id)
-  );
-  const rows = ordered.map((p,i)=>({
-    rowClass: p.isHuman ? "you-row" : "",
-    cells: [ i+1, p.name + (p.isHuman ? " (You)" : ""), p.car["Car"], p.points, p.wins, `${p.finishes}/${state.tracks.length}` ]
-  }));
-  lb.appendChild(table(["Rank","Player","Car","Points","Wins","Finishes"], rows));
-
-  renderBarChart("chartFinishRate",
-    ordered.map(p=>p.name + (p.isHuman?"*":"")),
+// Finish rate, average CP and points progression for the season, drawn into
+// the given hosts: the end-of-race modal's, or detached ones for the
+// presenter window (presenter.js).
+function renderSeasonCharts({finishRate, cpByTrack, points}){
+  const ordered = orderStandings(state.players);
+  const labelsP = ordered.map(p => playerName(p) + (p.isHuman ? "*" : ""));
+  renderBarChart(finishRate, labelsP,
     ordered.map(p=> Math.round((p.finishes/state.tracks.length)*100)),
     { suffix:"%", max:100 }
   );
@@ -682,16 +1346,49 @@ function showEndOfRaceModal(){
       cpAgg.set(r.id, cur);
     });
   });
-  const labelsP = ordered.map(p => p.name + (p.isHuman ? "*" : ""));
   const cpAvgP  = ordered.map(p => {
     const a = cpAgg.get(p.id) || {sum:0,count:1};
     return Math.round(a.sum / a.count);
   });
-  renderBarChart("chartCPByTrack", labelsP, cpAvgP, {});
+  renderBarChart(cpByTrack, labelsP, cpAvgP, {});
+  renderPointsChart(points);
+}
+// Leaderboard, charts and championship table in the end-of-race modal
+function renderEndOfRaceSummary(){
+  const lb = document.getElementById("finalLeaderboard");
+  lb.innerHTML = "";
+
+  const ordered = orderStandings(state.players);
+  const rows = ordered.map((p,i)=>({
+    rowClass: p.isHuman ? "you-row" : "",
+    cells: [ i+1, displayName(p), p.car["Car"], p.isHuman ? t("player.human") : strategyText(p.strategy),
+             p.points, p.wins, `${p.finishes}/${state.tracks.length}` ]
+  }));
+  lb.appendChild(table(["standings.rank","result.player","result.car","standings.strategy","result.points","standings.wins","standings.finishes"].map(k => t(k)), rows));
 
+  renderSeasonCharts({ finishRate: $("#chartFinishRate"), cpByTrack: $("#chartCPByTrack"), points: $("#chartPoints") });
+  renderSeasonExtras();
+  renderTournamentExtras(); // tournament.js
+  return ordered;
+}
+function showEndOfRaceModal(){
+  const modal = document.getElementById("endModal");
+  const closeBtn = document.getElementById("closeEndModal");
+  const ordered = renderEndOfRaceSummary();
+
+  // focus moves into the dialog and back where it was on close
+  const returnFocus = document.activeElement;
+  const close = () => {
+    modal.classList.remove("open");
+    if (returnFocus?.isConnected && !returnFocus.closest(".hidden")) returnFocus.focus();
+  };
   modal.classList.add("open");
-  closeBtn.onclick = () => modal.classList.remove("open");
-  document.addEventListener("keydown", e => { if(e.key === "Escape") modal.classList.remove("open"); }, {once:true});
+  modal.querySelector(".modal-content").focus();
+  closeBtn.onclick = close;
+  document.addEventListener("keydown", e => { if(e.key === "Escape") close(); }, {once:true});
+  const top = ordered[0];
+  announce(`${t("announce.seasonOver")} ${top ? t("announce.winner", {name: playerName(top), points: top.points}) : ""} ` +
+    humansIn(ordered).map(({p, i}) => t("announce.final", {name: isHotSeat() || state.online ? p.name : t("announce.you"), pos: ordinal(i + 1)})).join(" "));
   launchConfetti();
 }
 
@@ -699,7 +1396,7 @@ function showEndOfRaceModal(){
 function artTag(kind, name){
   const src = getCardImagePath(kind, name);
   return `<div class="artwrap">
-            <img src="${src}" alt="${name} image"
+            <img src="${src}" alt="${t("card.art", {name})}"
                  onerror="this.parentElement.style.display='none'">
           </div>`;
 }
@@ -715,12 +1412,68 @@ function artTagPortrait(kind, name){
           </div>`;
 }
 
+// ---------- Locale ----------
+// i18n.js calls this after a switch: redraw whatever is on screen.
+function refreshLocaleViews(){
+  syncPresenter(); // presenter.js
+  const shown = sel => !$(sel).classList.contains("hidden");
+  syncTrackCountLabels(state.started ? state.tracks.length : selectedRules.trackCount);
+  if (!state.started && shown("#dataReport")) renderDataReport(state.dataIssues, {hold: !shown("#setupSection")});
+  if (shown("#resumeBox")) initSeasonFileUI();
+  if (shown("#setupSection")) initSetupUI();
+  if (shown("#editorSection")) renderEditor();
+  renderBalanceModes();
+  if (shown("#balanceSection")) { renderBalanceRules(); syncBalanceControls(); }
+  if (shown("#leaderboardSection")) renderLeaderboard();
+  if (shown("#onlineLobby") && onlineConn?.lobby) renderOnlineLobby(onlineConn.lobby);
+  if (!state.started) return;
+  syncRaceControls(race.phase);
+  if (shown("#draftSection")) { renderDraft(); return; }
+  if (state.currentTrackIndex < state.tracks.length) renderRaceUI();
+  else { renderSeedBadge(); renderStandings(); }
+  renderRaceLog();
+  renderBracketPanel(); // tournament.js
+  const selected = $("#trackHistory [aria-pressed='true']");
+  const idx = selected ? [...$("#trackHistory").children].indexOf(selected) : state.resultsByTrack.length - 1;
+  if (idx >= 0) showTrackResult(idx);
+  if (state.online) syncOnlineBar();
+}
+
+// ---------- Learned bots ----------
+// The exported PPO agent (data_experiment/export_policy.py) drives "Learned"
+// bot seats; without the file they play greedy.
+const POLICY_URL = "models/ppo_overdr1ve.json";
+async function loadLearnedPolicy(){
+  try {
+    const res = await fetch(POLICY_URL);
+    if (!res.ok) throw new Error(`${POLICY_URL}: ${res.status}`);
+    loadPolicy(await res.json());
+  } catch (e) { console.warn("Learned bots will play greedy:", e.message); }
+}
+
+// ---------- Offline ----------
+// sw.js precaches the game, the CSVs and the card art, so after one visit
+// over http(s) it loads with no network. Service workers don't run on file://.
+function registerServiceWorker(){
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register("sw.js").catch(e => console.warn("Offline cache unavailable:", e));
+}
+
 // ---------- boot ----------
 (async function main(){
+  registerServiceWorker();
+  initLocaleUI();
   try { await loadData(); }
   catch (e){
-    alert("Failed to load CSVs. Ensure ./data_csv/cars.csv, ./data_csv/tracks.csv, ./data_csv/upgrades.csv exist.\n\n"+e.message);
+    alert(t("boot.loadFailed")+"\n\n"+e.message);
     throw e;
   }
+  await loadLearnedPolicy();
+  initRaceController();
+  initRulesUI();
   initSetupUI();
+  initSeasonFileUI();
+  initKeyboardShortcuts();
+  initReducedMotionUI();
+  renderDataReport(state.dataIssues);
 })();
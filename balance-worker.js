@@ -0,0 +1,23 @@
+// Overdr1ve — Balance Lab worker: runs Monte Carlo seasons off the UI thread.
+//   in:  {cards, seasons, mode, seed, rules, policy}
+//   out: {type:"ready"} once loaded, {type:"progress", done, seasons} …
+//        then {type:"done", summary} or {type:"error", message}
+importScripts("engine.js");
+const { createBalanceRun, stepBalanceRun, balanceSummary, loadPolicy } = self.Overdr1veEngine;
+
+self.onmessage = e => {
+  try {
+    const { cards, policy, ...opts } = e.data;
+    if (policy) loadPolicy(policy);
+    const run = createBalanceRun(cards, opts);
+    let finished = false;
+    while (!finished) {
+      finished = stepBalanceRun(run);
+      self.postMessage({ type: "progress", done: run.done, seasons: run.seasons });
+    }
+    self.postMessage({ type: "done", summary: balanceSummary(run) });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
+self.postMessage({ type: "ready" });
@@ -0,0 +1,166 @@
+// Overdr1ve — Balance Lab (loaded after app.js)
+// Plays thousands of seeded all-bot seasons on the current cards and setup
+// rules in a Web Worker (balance-worker.js), then charts how each car, track
+// and upgrade fares. Same engine as a real race, so the numbers match play.
+const { createBalanceRun, stepBalanceRun, balanceSummary, balanceToCSV, draftHandSize, activePolicy } = Overdr1veEngine;
+
+let balanceWorker = null;   // running Worker, if any
+let balanceTimer = null;    // in-page fallback loop, if any
+let balanceResult = null;   // last finished summary (for export)
+
+function balanceJob(){
+  return {
+    cards: { cars: state.cars, allTracks: state.allTracks, upgrades: state.upgrades },
+    seasons: Math.max(1, parseInt($("#balanceSeasons").value, 10) || 1000),
+    mode: $("#balanceMode").value,
+    seed: $("#balanceSeed").value,
+    rules: selectedRules,
+    policy: activePolicy(), // the worker has its own engine copy
+  };
+}
+
+// ---------- Running ----------
+// Workers can't start from file:// in some browsers; then the seasons run on
+// the page in small steps instead. That's only for a worker that never
+// loaded: an error in the run itself stops it and goes to onError.
+function runBalanceInPage(job, onProgress, onDone, onError){
+  let run;
+  const tick = () => {
+    let finished;
+    try {
+      run ||= createBalanceRun(job.cards, job);
+      finished = stepBalanceRun(run, 20);
+    } catch (err) { balanceTimer = null; onError(err.message); return; }
+    onProgress(run.done, run.seasons);
+    if (finished) { balanceTimer = null; onDone(balanceSummary(run)); }
+    else balanceTimer = setTimeout(tick, 0);
+  };
+  tick();
+}
+function runBalance(job, onProgress, onDone, onError){
+  let worker;
+  try { worker = new Worker("balance-worker.js"); }
+  catch { runBalanceInPage(job, onProgress, onDone, onError); return; }
+  balanceWorker = worker;
+  let loaded = false;
+  worker.onmessage = e => {
+    const msg = e.data;
+    if (msg.type === "ready") { loaded = true; return; }
+    if (msg.type === "progress") { onProgress(msg.done, msg.seasons); return; }
+    stopBalance();
+    if (msg.type === "error") onError(msg.message);
+    else onDone(msg.summary);
+  };
+  worker.onerror = e => {
+    e.preventDefault();
+    stopBalance();
+    if (loaded) onError(e.message || t("balance.failedUnknown"));
+    else runBalanceInPage(job, onProgress, onDone, onError);
+  };
+  worker.postMessage(job);
+}
+function stopBalance(){
+  if (balanceWorker) { balanceWorker.terminate(); balanceWorker = null; }
+  if (balanceTimer) { clearTimeout(balanceTimer); balanceTimer = null; }
+}
+function isBalanceRunning(){ return !!(balanceWorker || balanceTimer); }
+
+// ---------- UI ----------
+const pct = x => Math.round(x * 1000) / 10;
+
+function renderBalanceRules(){
+  const r = selectedRules;
+  const cars = Math.min(r.fieldSize, state.cars.length);
+  $("#balanceRulesText").textContent = t("balance.rules", {
+    cars, of: state.cars.length, grid: t(r.draft ? "balance.drafted" : "balance.randomGrid"), tracks: r.trackCount,
+    points: r.points.join("-"), dnf: r.dnfPoints,
+    hand: r.draft ? t("balance.handDrafted", {n: draftHandSize(r, state.upgrades)})
+      : r.upgradeHand === "full" ? t("balance.fullDeck") : t("balance.handDealt", {n: r.upgradeHand}),
+  });
+}
+
+function renderBalanceCharts(summary){
+  const cars = summary.cars.filter(c => c.races);
+  renderBarChart($("#balanceWinRate"), cars.map(c => c.car), cars.map(c => pct(c.winRate)), {suffix:"%"});
+  renderBarChart($("#balanceAvgPoints"), cars.map(c => c.car), cars.map(c => Math.round(c.avgPoints * 10) / 10));
+  const tracks = summary.tracks.filter(tr => tr.races);
+  renderBarChart($("#balanceTrackDnf"), tracks.map(tr => `${tr.track} (${typeLabel(tr.type)})`), tracks.map(tr => pct(tr.dnfRate)), {suffix:"%", max:100});
+  renderBarChart($("#balancePickRate"), summary.upgrades.map(u => u.upgrade), summary.upgrades.map(u => pct(u.pickRate)), {suffix:"%"});
+}
+
+function startBalanceRun(){
+  if (isBalanceRunning()) { stopBalance(); syncBalanceControls(); $("#balanceStatus").textContent = t("balance.cancelled"); return; }
+  const job = balanceJob();
+  const progress = $("#balanceProgress");
+  progress.classList.remove("hidden");
+  progress.value = 0;
+  const t0 = performance.now();
+  runBalance(job,
+    (done, seasons) => {
+      progress.value = done / seasons;
+      $("#balanceStatus").textContent = t("balance.progress", {done, seasons});
+    },
+    summary => {
+      balanceResult = summary;
+      const secs = ((performance.now() - t0) / 1000).toFixed(1);
+      $("#balanceStatus").textContent =
+        t("balance.done", {seasons: summary.seasons, bots: strategyText(summary.mode), seed: summary.seed, secs});
+      renderBalanceCharts(summary);
+      syncBalanceControls();
+    },
+    message => {
+      $("#balanceStatus").textContent = t("balance.failed", {message});
+      syncBalanceControls();
+    });
+  syncBalanceControls();
+}
+
+function syncBalanceControls(){
+  const running = isBalanceRunning();
+  $("#balanceRunBtn").textContent = t(running ? "balance.cancel" : "balance.run");
+  $("#balanceExportBtn").disabled = running || !balanceResult;
+  ["#balanceSeasons", "#balanceMode", "#balanceSeed"].forEach(id => { $(id).disabled = running; });
+  if (!running) $("#balanceProgress").classList.add("hidden");
+}
+
+function exportBalanceCSVs(){
+  if (!balanceResult) return;
+  Object.entries(balanceToCSV(balanceResult)).forEach(([name, text]) => downloadFile(name, text, "text/csv"));
+}
+
+async function openBalanceLab(){
+  if (state.started) return;
+  if (!$("#editorSection").classList.contains("hidden")) await closeEditor(); // pick up the edits' data check
+  $("#setupSection").classList.add("hidden");
+  $("#dataReport").classList.add("hidden");
+  $("#editorSection").classList.add("hidden");
+  $("#leaderboardSection").classList.add("hidden");
+  $("#balanceSection").classList.remove("hidden");
+  renderBalanceRules();
+}
+function closeBalanceLab(){
+  stopBalance();
+  syncBalanceControls();
+  $("#balanceSection").classList.add("hidden");
+  $("#setupSection").classList.remove("hidden");
+  $("#dataReport").classList.toggle("hidden", !state.dataIssues.length);
+}
+
+function renderBalanceModes(){
+  const mode = $("#balanceMode");
+  const keep = mode.value || DEFAULT_STRATEGY;
+  mode.innerHTML = "";
+  Object.values(STRATEGIES).forEach(s => {
+    const opt = el("option"); opt.value = s.id; opt.textContent = strategyText(s.id); mode.appendChild(opt);
+  });
+  mode.value = keep;
+}
+
+function initBalanceUI(){
+  renderBalanceModes();
+  $("#openBalanceBtn").onclick = openBalanceLab;
+  $("#balanceRunBtn").onclick = startBalanceRun;
+  $("#balanceExportBtn").onclick = exportBalanceCSVs;
+  $("#balanceDoneBtn").onclick = closeBalanceLab;
+}
+initBalanceUI();
@@ -0,0 +1,173 @@
+// Overdr1ve — championships and driver ratings (loaded after app.js)
+// A championship replays the same grid for several seasons and carries points
+// and titles over; every finished season (championship or not) also updates
+// the ratings leaderboard kept in localStorage.
+const {
+  seasonSummary, championshipStandings, emptyLeaderboard, rateSeason, leaderboardRows, leaderboardToCSV, RATINGS_SCHEMA,
+} = Overdr1veEngine;
+const RATINGS_KEY = "overdr1ve.ratings";
+
+// ---------- Ratings storage ----------
+function loadRatings(){
+  try {
+    const board = JSON.parse(localStorage.getItem(RATINGS_KEY) || "null");
+    if (board?.schema === RATINGS_SCHEMA && board.players) return board;
+  } catch (e) { console.warn("Ignoring unreadable ratings:", e); }
+  return emptyLeaderboard();
+}
+function saveRatings(board){
+  try { localStorage.setItem(RATINGS_KEY, JSON.stringify(board)); }
+  catch (e) { console.warn("Saving ratings failed:", e); }
+}
+
+// ---------- Championship ----------
+// state.championship = {seed, length, humans, seasons: [seasonSummary rows]}
+// or null for a one-off season. It rides along in the autosave.
+function newChampionship(humans, seedCode, length){
+  if (length < 2) return null;
+  return { seed: seedCode.trim().toUpperCase() || randomSeedCode(), length, humans, seasons: [] };
+}
+function championshipSeed(champ, n){ return n === 1 ? champ.seed : `${champ.seed}-${n}`; }
+function championshipOver(){
+  const c = state.championship;
+  return !c || c.seasons.length >= c.length;
+}
+
+// Called once, when the last track of a season resolves. The leaderboard
+// entries it touched are kept as they were, so an undo can put them back.
+function recordSeasonEnd(){
+  const rows = seasonSummary(state);
+  const board = loadRatings();
+  const prior = JSON.parse(JSON.stringify(board.players));
+  state.ratingChanges = rateSeason(board, rows);
+  state.ratingPrior = Object.fromEntries(state.ratingChanges.map(c => [c.key, prior[c.key] || null]));
+  saveRatings(board);
+  if (state.championship) state.championship.seasons.push(rows);
+  recordTournamentHeat(rows); // tournament.js
+}
+// Undo of the last track (race log, app.js): the season is no longer over.
+function unrecordSeasonEnd(){
+  if (state.ratingPrior) {
+    const board = loadRatings();
+    for (const [key, entry] of Object.entries(state.ratingPrior)) {
+      if (entry) board.players[key] = entry; else delete board.players[key];
+    }
+    saveRatings(board);
+  }
+  state.ratingChanges = null;
+  state.ratingPrior = null;
+  if (state.championship) state.championship.seasons.pop();
+  unrecordTournamentHeat();
+}
+
+function nextChampionshipSeason(){
+  const c = state.championship;
+  $("#endModal").classList.remove("open");
+  startRace(c.humans, championshipSeed(c, c.seasons.length + 1));
+}
+
+// End-of-season modal: championship table + rating changes.
+function renderSeasonExtras(){
+  const host = $("#championshipBox");
+  host.innerHTML = "";
+  const c = state.championship;
+  const next = $("#nextSeasonBtn");
+  next.classList.toggle("hidden", championshipOver());
+  next.onclick = nextChampionshipSeason;
+
+  if (c) {
+    const done = c.seasons.length;
+    const h = el("h3");
+    h.textContent = done >= c.length
+      ? t("champ.final", {n: done})
+      : t("champ.after", {n: done, of: c.length});
+    host.appendChild(h);
+    const rows = championshipStandings(c.seasons).map((s, i) => ({
+      rowClass: s.isHuman ? "you-row" : "",
+      cells: [i + 1, playerName(s), s.car, s.points, s.titles, s.wins, s.finishes],
+    }));
+    host.appendChild(table(["standings.rank","result.player","result.car","result.points","champ.titles","standings.wins","standings.finishes"].map(k => t(k)), rows));
+    if (done >= c.length && rows.length) {
+      const champ = el("p", "champion");
+      champ.textContent = `🏆 ${t("champ.winner", {name: rows[0].cells[1]})}`;
+      host.appendChild(champ);
+    }
+  }
+
+  const changes = state.ratingChanges;
+  if (changes?.length) {
+    const p = el("p", "muted rating-changes");
+    p.textContent = t("champ.ratings") + " " + changes.map(d => {
+      const diff = Math.round((d.after - d.before) * 10) / 10;
+      return `${d.name} ${Math.round(d.after)} (${diff >= 0 ? "+" : ""}${diff})`;
+    }).join(" · ");
+    host.appendChild(p);
+  }
+  host.classList.toggle("hidden", !host.childNodes.length);
+}
+
+// ---------- Leaderboard view ----------
+function renderLeaderboard(){
+  const board = loadRatings();
+  const carSel = $("#leaderboardCar");
+  const cars = [...new Set(Object.values(board.players).flatMap(e => Object.keys(e.byCar)))].sort();
+  const keep = carSel.value;
+  carSel.innerHTML = "";
+  ["", ...cars].forEach(c => {
+    const opt = el("option"); opt.value = c; opt.textContent = c || t("leaderboard.allCars"); carSel.appendChild(opt);
+  });
+  carSel.value = cars.includes(keep) ? keep : "";
+
+  const rows = leaderboardRows(board, { car: carSel.value || null, bots: $("#leaderboardBots").checked });
+  const host = $("#leaderboardTable");
+  host.innerHTML = "";
+  if (!rows.length) {
+    host.textContent = t("leaderboard.empty");
+  } else {
+    host.appendChild(table(
+      ["standings.rank","result.player","result.car","leaderboard.rating","leaderboard.seasons","champ.titles","result.points","leaderboard.avgRank","standings.finishes","standings.wins"].map(k => t(k)),
+      rows.map((r, i) => ({
+        rowClass: r.isBot ? "muted" : "",
+        cells: [i + 1, r.name, r.car, Math.round(r.rating), r.seasons, r.titles, r.points, r.avgRank, r.finishes, r.wins],
+      }))
+    ));
+  }
+  $("#leaderboardExportBtn").disabled = !rows.length;
+  return rows;
+}
+function exportLeaderboardCSV(){
+  const rows = renderLeaderboard();
+  const car = $("#leaderboardCar").value;
+  const name = car ? `overdr1ve_leaderboard_${car.replace(/\W+/g, "_")}.csv` : "overdr1ve_leaderboard.csv";
+  downloadFile(name, leaderboardToCSV(rows), "text/csv");
+}
+function clearLeaderboard(){
+  if (!confirm(t("leaderboard.confirmClear"))) return;
+  try { localStorage.removeItem(RATINGS_KEY); } catch (e) { /* storage unavailable */ }
+  renderLeaderboard();
+}
+
+async function openLeaderboard(){
+  if (state.started) return;
+  if (!$("#editorSection").classList.contains("hidden")) await closeEditor();
+  if (!$("#balanceSection").classList.contains("hidden")) closeBalanceLab();
+  $("#setupSection").classList.add("hidden");
+  $("#dataReport").classList.add("hidden");
+  $("#leaderboardSection").classList.remove("hidden");
+  renderLeaderboard();
+}
+function closeLeaderboard(){
+  $("#leaderboardSection").classList.add("hidden");
+  $("#setupSection").classList.remove("hidden");
+  $("#dataReport").classList.toggle("hidden", !state.dataIssues.length);
+}
+
+function initChampionshipUI(){
+  $("#openLeaderboardBtn").onclick = openLeaderboard;
+  $("#leaderboardCar").onchange = renderLeaderboard;
+  $("#leaderboardBots").onchange = renderLeaderboard;
+  $("#leaderboardExportBtn").onclick = exportLeaderboardCSV;
+  $("#leaderboardClearBtn").onclick = clearLeaderboard;
+  $("#leaderboardDoneBtn").onclick = closeLeaderboard;
+}
+initChampionshipUI();
@@ -0,0 +1,193 @@
+"""
+Export the trained PPO agent to JSON for the browser ("Learned · PPO" bots).
+
+    python export_policy.py --model checkpoints/ppo_overdr1ve.zip \
+        --vecnorm checkpoints/vecnorm_stats.pkl --out ../models/ppo_overdr1ve.json
+
+Reads the Stable-Baselines3 checkpoint and the VecNormalize stats without
+torch, numpy or SB3 installed: both are pickles, and only the tensors and
+arrays in them are decoded. Writes
+
+    {
+      "schema": "overdr1ve-policy", "version": 1,
+      "trackTypes": [...],           # one-hot order, as Overdr1veEnv.TRACK_TYPES
+      "actions": [null, "Upgrade 01", ...],   # action k -> card (0 = no upgrade)
+      "obs": {"mean": [...], "var": [...], "epsilon": 1e-8, "clip": 10.0},
+      "layers": [{"weight": [[...]], "bias": [...], "activation": "tanh"}, ...]
+    }
+
+The layers are the actor only (mlp_extractor.policy_net then action_net); the
+value head isn't needed to pick an action. engine.js (loadPolicy) rebuilds the
+observation from a live season and plays the highest-scoring card in hand.
+"""
+import argparse
+import csv
+import json
+import os
+import pickle
+import struct
+import zipfile
+from typing import Any, Dict, List, Optional
+
+SCHEMA = "overdr1ve-policy"
+VERSION = 1
+
+
+# ---------------- Torch checkpoint (policy.pth) ----------------
+class _StateDict(dict):
+    """OrderedDict stand-in; torch also pickles a _metadata attribute on it."""
+
+
+class _Storage:
+    def __init__(self, values: List[float]):
+        self.values = values
+
+
+def _rebuild_tensor(storage: _Storage, offset: int, size, stride, *_):
+    """Nested lists in the tensor's shape (row-major via its strides)."""
+    def build(dim: int, base: int):
+        if dim == len(size):
+            return storage.values[base]
+        return [build(dim + 1, base + i * stride[dim]) for i in range(size[dim])]
+    return build(0, offset)
+
+
+class _TorchUnpickler(pickle.Unpickler):
+    def __init__(self, fh, archive: zipfile.ZipFile, prefix: str):
+        super().__init__(fh)
+        self.archive, self.prefix = archive, prefix
+
+    def find_class(self, module: str, name: str):
+        if (module, name) == ("collections", "OrderedDict"):
+            return _StateDict
+        if (module, name) == ("torch._utils", "_rebuild_tensor_v2"):
+            return _rebuild_tensor
+        if module == "torch" and name == "FloatStorage":
+            return "float32"
+        raise pickle.UnpicklingError(f"unexpected object in policy.pth: {module}.{name}")
+
+    def persistent_load(self, pid):
+        _, dtype, key, _location, numel = pid
+        if dtype != "float32":
+            raise pickle.UnpicklingError(f"unexpected storage type {dtype}")
+        raw = self.archive.read(f"{self.prefix}data/{key}")
+        # float32 values need at most 9 significant digits to round-trip
+        return _Storage([float(f"{v:.9g}") for v in struct.unpack(f"<{numel}f", raw[:4 * numel])])
+
+
+def read_state_dict(model_zip: str) -> Dict[str, Any]:
+    with zipfile.ZipFile(model_zip) as outer:
+        inner = zipfile.ZipFile(outer.open("policy.pth"))
+    pkl = next(n for n in inner.namelist() if n.endswith("data.pkl"))
+    prefix = pkl[: -len("data.pkl")]
+    if prefix and inner.read(f"{prefix}byteorder").strip() != b"little":
+        raise ValueError("only little-endian checkpoints are supported")
+    with inner.open(pkl) as fh:
+        return _TorchUnpickler(fh, inner, prefix).load()
+
+
+# ---------------- VecNormalize stats (vecnorm_stats.pkl) ----------------
+_NUMPY_FORMATS = {"f4": "f", "f8": "d", "i8": "q", "i4": "i", "b1": "?"}
+
+
+class _DType:
+    def __init__(self, name: str, *_):
+        self.name = name
+
+    def __setstate__(self, state):
+        pass
+
+
+class _Array:
+    def __init__(self, *_):
+        self.values: List[Any] = []
+
+    def __setstate__(self, state):
+        _version, shape, dtype, _fortran, raw = state
+        n = 1
+        for d in shape:
+            n *= d
+        self.values = list(struct.unpack(f"<{n}{_NUMPY_FORMATS[dtype.name]}", raw))
+
+
+def _scalar(dtype: _DType, raw: bytes):
+    return struct.unpack(f"<{_NUMPY_FORMATS[dtype.name]}", raw)[0]
+
+
+class _Object:
+    """Any other class in the pickle (VecNormalize, RunningMeanStd, spaces)."""
+    def __setstate__(self, state):
+        if isinstance(state, dict):
+            self.__dict__.update(state)
+
+
+class _VecNormUnpickler(pickle.Unpickler):
+    def find_class(self, module: str, name: str):
+        if module.startswith("numpy"):
+            if name == "dtype":
+                return _DType
+            if name in ("ndarray", "_reconstruct"):
+                return _Array
+            if name == "scalar":
+                return _scalar
+        return type(name, (_Object,), {})
+
+
+def read_obs_stats(vecnorm_pkl: str) -> Dict[str, Any]:
+    with open(vecnorm_pkl, "rb") as fh:
+        vec = _VecNormUnpickler(fh).load()
+    if not getattr(vec, "norm_obs", True):
+        return {"mean": None, "var": None, "epsilon": 0.0, "clip": None}
+    return {
+        "mean": vec.obs_rms.mean.values,
+        "var": vec.obs_rms.var.values,
+        "epsilon": float(vec.epsilon),
+        "clip": float(vec.clip_obs),
+    }
+
+
+# ---------------- Environment layout ----------------
+def read_rows(path: str) -> List[Dict[str, str]]:
+    with open(path, newline="", encoding="utf-8") as fh:
+        return list(csv.DictReader(fh))
+
+
+def build_policy(state: Dict[str, Any], obs: Dict[str, Any], tracks_csv: str,
+                 upgrades_csv: Optional[str]) -> Dict[str, Any]:
+    # Same order as Overdr1veEnv: sorted track types, "No Upgrade" + upgrades.csv rows
+    track_types = sorted({r["Track Type"] for r in read_rows(tracks_csv)})
+    actions = [None] + ([r["Upgrade"] for r in read_rows(upgrades_csv)] if upgrades_csv else [])
+
+    names = sorted(k for k in state if k.startswith("mlp_extractor.policy_net.") and k.endswith(".weight"))
+    layers = [{"weight": state[k], "bias": state[k[:-len("weight")] + "bias"], "activation": "tanh"} for k in names]
+    layers.append({"weight": state["action_net.weight"], "bias": state["action_net.bias"], "activation": "linear"})
+
+    obs_dim = 2 + len(track_types) + 1 + 2
+    if len(layers[0]["weight"][0]) != obs_dim:
+        raise ValueError(f"policy expects {len(layers[0]['weight'][0])} inputs, the CSVs give {obs_dim}")
+    if len(layers[-1]["bias"]) != len(actions):
+        raise ValueError(f"policy has {len(layers[-1]['bias'])} actions, the CSVs give {len(actions)}")
+    return {"schema": SCHEMA, "version": VERSION, "trackTypes": track_types, "actions": actions,
+            "obs": obs, "layers": layers}
+
+
+def main():
+    ap = argparse.ArgumentParser()
+    ap.add_argument("--model", type=str, default="checkpoints/ppo_overdr1ve.zip")
+    ap.add_argument("--vecnorm", type=str, default="checkpoints/vecnorm_stats.pkl")
+    ap.add_argument("--tracks_csv", type=str, default="data_csv/tracks.csv")
+    ap.add_argument("--upgrades_csv", type=str, default="data_csv/upgrades.csv")
+    ap.add_argument("--out", type=str, default="../models/ppo_overdr1ve.json")
+    args = ap.parse_args()
+
+    upgrades_csv = args.upgrades_csv if args.upgrades_csv and os.path.exists(args.upgrades_csv) else None
+    policy = build_policy(read_state_dict(args.model), read_obs_stats(args.vecnorm), args.tracks_csv, upgrades_csv)
+    os.makedirs(os.path.dirname(args.out) or ".", exist_ok=True)
+    with open(args.out, "w", encoding="utf-8") as fh:
+        json.dump(policy, fh, separators=(",", ":"))
+    sizes = " -> ".join(str(len(layer["bias"])) for layer in policy["layers"])
+    print(f"Wrote {args.out}: {len(policy['layers'][0]['weight'][0])} -> {sizes}, actions {len(policy['actions'])}")
+
+
+if __name__ == "__main__":
+    main()
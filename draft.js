@@ -0,0 +1,114 @@
+// Overdr1ve — draft phase (loaded after app.js)
+// With the Draft rule, startSeason() leaves every seat without a car or hand.
+// Bots draft straight away (engine runDraft()); each human picks here, in
+// snake order, and the race UI takes over after the last pick.
+const { draftOptions, draftPick, decideDraftPick, runDraft } = Overdr1veEngine;
+
+function showDraft(){
+  $("#raceSection").classList.add("hidden");
+  $("#draftSection").classList.remove("hidden");
+  renderDraft();
+}
+function finishDraft(){
+  $("#draftSection").classList.add("hidden");
+  $("#raceSection").classList.remove("hidden");
+  state.handoffConfirmed = false;
+  renderRaceUI();
+  syncRacePhase();
+}
+
+function renderDraft(){
+  const turn = runDraft(state);
+  if (!turn) { finishDraft(); autosave(); return; }
+  const d = state.draft;
+  const me = turn.player;
+  // Upgrade hands are private: hot-seat drivers hand the device over first.
+  const waiting = isHotSeat() && turn.kind === "upgrade" && !state.handoffConfirmed;
+
+  $("#draftTitle").textContent = t("draft.title", {n: turn.pick, of: turn.picks});
+  renderDraftOrder(turn);
+  renderDraftTracks();
+  renderDraftGrid(turn);
+
+  $("#draftHandoff").classList.toggle("hidden", !waiting);
+  $("#draftPanel").classList.toggle("hidden", waiting);
+  if (waiting) {
+    $("#draftHandoffText").textContent = t("handoff.text", {name: me.name});
+    const go = $("#draftHandoffBtn");
+    go.textContent = t("handoff.hand", {name: me.name});
+    go.onclick = () => { state.handoffConfirmed = true; renderDraft(); $("#draftOptions .pick")?.focus(); };
+    go.focus();
+    return;
+  }
+
+  $("#draftPrompt").textContent = turn.kind === "car"
+    ? t("draft.car", {name: displayName(me)})
+    : t("draft.upgrade", {name: displayName(me), n: me.hand.length + 1, of: d.handSize});
+  const suggested = decideDraftPick(state, turn);
+  const host = $("#draftOptions");
+  host.innerHTML = "";
+  draftOptions(state, turn).forEach(card => {
+    const btn = el("button", "pick");
+    btn.type = "button";
+    const label = turn.kind === "car"
+      ? `${card["Car"]} — CP ${card["Core Power"]}, ML ${card["Max Laps"]} (${typeLabel(card["Track Type"])})` + (card["Effect"] ? ` · ${card["Effect"]}` : "")
+      : `${card["Upgrade"]} — +CP ${card["Core Power"]}, +ML ${card["Max Laps"]} [${conditionText(card)}]` +
+        (card["Effect"] ? ` · ${card["Effect"]}` : "") + ` · ×${d.pool[card["Upgrade"]]}`;
+    btn.innerHTML = (turn.kind === "car" ? artTag("cars", card["Car"]) : artTagPortrait("upgrades", card["Upgrade"]))
+      + `<div class="label">${label}</div>`;
+    btn.title = label + (card === suggested ? ` · ★ ${t("draft.suggested")}` : "");
+    btn.setAttribute("aria-label", btn.title);
+    if (card === suggested) btn.classList.add("recommended");
+    btn.onclick = () => {
+      draftPick(state, card);
+      state.handoffConfirmed = runDraft(state)?.player === me; // snake turn: same driver again
+      autosave();
+      renderDraft();
+    };
+    host.appendChild(btn);
+  });
+  makeRovingPicker(host, t(turn.kind === "car" ? "draft.cars" : "draft.upgrades"), {selectOnMove: false});
+
+  const hand = $("#draftHand");
+  hand.textContent = me.car
+    ? t(isHotSeat() ? "draft.theirHand" : "draft.yourHand", {name: me.name, car: me.car["Car"], hand: me.hand.map(u => u["Upgrade"]).join(", ") || t("draft.empty")})
+    : "";
+}
+
+// This round's order, arrow pointing the way the snake runs.
+function renderDraftOrder(turn){
+  const d = state.draft;
+  const ids = turn.round % 2 ? [...d.order].reverse() : d.order;
+  const host = $("#draftOrder");
+  host.innerHTML = "";
+  host.dataset.round = turn.round === 0 ? t("draft.roundCars") : t("draft.round", {n: turn.round});
+  ids.forEach(pid => {
+    const p = state.players.find(x => x.id === pid);
+    const item = el("li", p === turn.player ? "current" : "");
+    item.textContent = playerName(p);
+    host.appendChild(item);
+  });
+}
+function renderDraftTracks(){
+  const host = $("#draftTracks");
+  host.innerHTML = "";
+  state.tracks.forEach((tr, i) => {
+    const bonus = parseTrackBonus(tr["Type Bonus"]);
+    const b = badge(`${i + 1}. ${tr["Track"]} · ${typeLabel(tr["Track Type"])} · ${t("draft.laps", {n: tr["Total Laps"]})}` +
+      (bonus.field ? ` · +${bonus.amount} ${statLabel(bonus.field)}` : ""));
+    host.appendChild(b);
+  });
+}
+// Cars are public; hands only show their size.
+function renderDraftGrid(turn){
+  const rows = state.draft.order.map((pid, i) => {
+    const p = state.players.find(x => x.id === pid);
+    return {
+      rowClass: p === turn.player ? "you-row" : "",
+      cells: [i + 1, displayName(p), p.isHuman ? t("player.human") : strategyText(p.strategy), p.car ? p.car["Car"] : "—", p.hand.length],
+    };
+  });
+  const host = $("#draftGrid");
+  host.innerHTML = "";
+  host.appendChild(table(["draft.order","result.player","draft.driver","result.car","draft.upgradesCol"].map(k => t(k)), rows));
+}
@@ -0,0 +1,212 @@
+// Overdr1ve — Card editor (loaded after app.js)
+// Edits state.cars / state.allTracks / state.upgrades in place, so the next
+// startRace() plays the edited set; exports back to the three CSV files.
+const { TRACK_TYPES, toInt, tokens, norm, cardsToCSV, getUpgConditionRaw } = Overdr1veEngine;
+
+const BONUS_FIELDS = ["Core Power", "Max Laps"];
+const EDITOR_TABLES = [
+  { key: "cars", title: "editor.cars", add: "editor.addCar", name: "Car", nameLabel: "result.car", list: () => state.cars,
+    fields: [ { col: "Core Power", label: "card.corePower", kind: "int" }, { col: "Max Laps", label: "card.maxLaps", kind: "int" },
+              { col: "Track Type", label: "card.trackType", kind: "types" }, { col: "Effect", label: "card.effect", kind: "effect" } ] },
+  { key: "tracks", title: "editor.tracks", add: "editor.addTrack", name: "Track", nameLabel: "card.track", list: () => state.allTracks,
+    fields: [ { col: "Total Laps", label: "card.totalLaps", kind: "int" }, { col: "Track Type", label: "card.trackType", kind: "type" },
+              { col: "Type Bonus", label: "card.typeBonus", kind: "bonus" }, { col: "Effect", label: "card.effect", kind: "effect" } ] },
+  { key: "upgrades", title: "editor.upgrades", add: "editor.addUpgrade", name: "Upgrade", nameLabel: "result.upgrade", list: () => state.upgrades,
+    fields: [ { col: "Core Power", label: "card.corePower", kind: "int" }, { col: "Max Laps", label: "card.maxLaps", kind: "int" },
+              { col: "Track Type Condition", label: "result.condition", kind: "types" }, { col: "Effect", label: "card.effect", kind: "effect" } ] },
+];
+
+function editedCards(){
+  return { cars: state.cars, tracks: state.allTracks, upgrades: state.upgrades };
+}
+
+// ---------- Field controls ----------
+// Each returns an element that writes straight into card[col] on change;
+// `label` is the column's translated name, col stays the CSV key.
+function intControl(card, col, label){
+  const input = el("input");
+  input.type = "number"; input.step = "1"; input.value = card[col];
+  input.setAttribute("aria-label", label);
+  input.onchange = () => { card[col] = toInt(input.value); editorChanged(); };
+  return input;
+}
+// Multi-type (cars, upgrade conditions): no box ticked = "-" (any)
+function typesControl(card, col){
+  const wrap = el("div", "type-checks");
+  const on = tokens(col === "Track Type Condition" ? getUpgConditionRaw(card) : card[col]);
+  TRACK_TYPES.forEach(type => {
+    const lab = el("label");
+    const box = el("input");
+    box.type = "checkbox"; box.value = type; box.checked = on.includes(norm(type));
+    box.onchange = () => {
+      const picked = Array.from(wrap.querySelectorAll("input:checked"), b => b.value);
+      card[col] = picked.length ? picked.join("/") : "-";
+      editorChanged();
+    };
+    lab.appendChild(box); lab.append(` ${typeLabel(type)}`);
+    wrap.appendChild(lab);
+  });
+  return wrap;
+}
+function typeControl(card, col, label){
+  const sel = el("select");
+  sel.setAttribute("aria-label", label);
+  TRACK_TYPES.forEach(type => { const o = el("option"); o.value = type; o.textContent = typeLabel(type); sel.appendChild(o); });
+  const known = TRACK_TYPES.find(type => tokens(card[col]).includes(norm(type)));
+  if (!known) { // keep the bad value visible (and flagged) until it's fixed
+    const o = el("option"); o.value = card[col] || ""; o.textContent = `${card[col] || t("editor.none")} ?`;
+    sel.prepend(o);
+  }
+  sel.value = known || card[col] || "";
+  sel.onchange = () => { card[col] = sel.value; editorChanged(); };
+  return sel;
+}
+function bonusControl(card, col, label){
+  const wrap = el("div", "bonus-edit");
+  const b = parseTrackBonus(card[col] || "");
+  const amount = el("input");
+  amount.type = "number"; amount.step = "1"; amount.value = b.amount;
+  amount.setAttribute("aria-label", t("editor.amount", {field: label}));
+  const field = el("select");
+  field.setAttribute("aria-label", t("editor.stat", {field: label}));
+  ["", ...BONUS_FIELDS].forEach(f => { const o = el("option"); o.value = f; o.textContent = f ? statLabel(f) : t("editor.none"); field.appendChild(o); });
+  field.value = BONUS_FIELDS.find(f => norm(f) === norm(b.field)) || "";
+  const write = () => {
+    card[col] = field.value ? `${toInt(amount.value)} ${field.value}` : "";
+    amount.disabled = !field.value;
+    editorChanged();
+  };
+  amount.onchange = write; field.onchange = write;
+  amount.disabled = !field.value;
+  wrap.appendChild(amount); wrap.appendChild(field);
+  return wrap;
+}
+// Free text in the engine's effect syntax ("cp+10%; persist:2"); problems show in the issue list.
+function effectControl(card, col, label){
+  const input = el("input");
+  input.type = "text"; input.value = card[col] || "";
+  input.placeholder = t("editor.effectPlaceholder");
+  input.setAttribute("aria-label", label);
+  input.onchange = () => { card[col] = input.value.trim(); editorChanged(); };
+  return input;
+}
+const FIELD_CONTROLS = { int: intControl, types: typesControl, type: typeControl, bonus: bonusControl, effect: effectControl };
+
+// ---------- Tables ----------
+function uniqueCardName(list, nameCol, base){
+  const taken = new Set(list.map(c => c[nameCol]));
+  if (!taken.has(base)) return base;
+  for (let n = 2; ; n++) if (!taken.has(`${base} (${n})`)) return `${base} (${n})`;
+}
+function newCard(spec){
+  const list = spec.list();
+  const card = { [spec.name]: uniqueCardName(list, spec.name, `${spec.name} ${String(list.length + 1).padStart(2, "0")}`) };
+  spec.fields.forEach(f => {
+    card[f.col] = f.kind === "int" ? 0 : f.kind === "type" ? TRACK_TYPES[0] : f.kind === "bonus" || f.kind === "effect" ? "" : "-";
+  });
+  if (spec.key === "tracks") card["Total Laps"] = 50;
+  return card;
+}
+// Keep hot-seat car choices pointing at the same cars after a delete.
+function onCarDeleted(idx){
+  for (let i = roster.length - 1; i >= 0; i--) {
+    if (roster[i].carIndex === idx) roster.splice(i, 1);
+    else if (roster[i].carIndex > idx) roster[i].carIndex -= 1;
+  }
+}
+
+function renderEditorTable(spec){
+  const list = spec.list();
+  const section = el("section", "panel editor-table");
+  const head = el("div", "row");
+  const h3 = el("h3"); h3.textContent = `${t(spec.title)} (${list.length})`;
+  const add = el("button", "btn secondary small");
+  add.type = "button"; add.textContent = t(spec.add);
+  add.onclick = () => { list.push(newCard(spec)); renderEditor(); };
+  head.appendChild(h3); head.appendChild(add);
+  section.appendChild(head);
+
+  const rows = list.map((card, idx) => {
+    const name = el("input");
+    name.type = "text"; name.value = card[spec.name];
+    name.setAttribute("aria-label", t(spec.nameLabel));
+    name.onchange = () => { card[spec.name] = name.value.trim(); editorChanged(); };
+
+    const actions = el("div", "row editor-actions");
+    const clone = el("button", "btn secondary small");
+    clone.type = "button"; clone.textContent = t("editor.clone");
+    clone.onclick = () => {
+      const copy = { ...card, [spec.name]: uniqueCardName(list, spec.name, `${card[spec.name]} copy`) };
+      list.splice(idx + 1, 0, copy);
+      if (spec.key === "cars") roster.forEach(h => { if (h.carIndex > idx) h.carIndex += 1; });
+      renderEditor();
+    };
+    const del = el("button", "btn secondary small");
+    del.type = "button"; del.textContent = t("editor.delete");
+    del.onclick = () => {
+      list.splice(idx, 1);
+      if (spec.key === "cars") onCarDeleted(idx);
+      renderEditor();
+    };
+    actions.appendChild(clone); actions.appendChild(del);
+
+    return { cells: [ {el: name}, ...spec.fields.map(f => ({el: FIELD_CONTROLS[f.kind](card, f.col, t(f.label))})), {el: actions} ] };
+  });
+  section.appendChild(table([t(spec.nameLabel), ...spec.fields.map(f => t(f.label)), ""], rows));
+  return section;
+}
+
+function renderEditorIssues(){
+  const host = $("#editorIssues");
+  const issues = validateCards(editedCards());
+  host.innerHTML = "";
+  if (!issues.length) { host.appendChild(badge(t("editor.noProblems"), "ok")); return; }
+  host.appendChild(table(issueHeaders(), issues.map(i => ({
+    cells: [ {el: badge(t(`severity.${i.severity}`), i.severity === "error" ? "dnf" : "")}, i.file, i.row, i.column, i.message ],
+  }))));
+}
+function editorChanged(){ renderEditorIssues(); }
+
+function renderEditor(){
+  const host = $("#editorTables");
+  host.innerHTML = "";
+  EDITOR_TABLES.forEach(spec => host.appendChild(renderEditorTable(spec)));
+  renderEditorIssues();
+}
+
+// ---------- Open / close / export ----------
+function openEditor(){
+  if (state.started) return;
+  if (!$("#balanceSection").classList.contains("hidden")) closeBalanceLab();
+  $("#leaderboardSection").classList.add("hidden");
+  $("#setupSection").classList.add("hidden");
+  $("#dataReport").classList.add("hidden");
+  $("#editorSection").classList.remove("hidden");
+  renderEditor();
+}
+async function closeEditor(){
+  $("#editorSection").classList.add("hidden");
+  $("#setupSection").classList.remove("hidden");
+  const cards = editedCards();
+  state.dataIssues = [...validateCards(cards), ...await findMissingCardArt(cards)];
+  initSetupUI();
+  renderDataReport(state.dataIssues);
+}
+function exportEditedCSVs(){
+  const files = cardsToCSV(editedCards());
+  Object.entries(files).forEach(([name, text]) => downloadFile(name, text, "text/csv"));
+}
+async function reloadCSVs(){
+  try { await loadData(); }
+  catch (e) { alert(`${t("editor.reloadFailed")}\n\n${e.message}`); return; }
+  roster.splice(0, roster.length);
+  renderEditor();
+}
+
+function initEditorUI(){
+  $("#openEditorBtn").onclick = openEditor;
+  $("#editorDoneBtn").onclick = closeEditor;
+  $("#editorExportBtn").onclick = exportEditedCSVs;
+  $("#editorReloadBtn").onclick = reloadCSVs;
+}
+initEditorUI();
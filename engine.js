@@ -0,0 +1,1342 @@
+// Overdr1ve — Rules engine (DOM-free; shared by the browser UI and Node tools)
+(function(root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Overdr1veEngine = factory();
+})(typeof self !== "undefined" ? self : this, function(){
+"use strict";
+
+// ---------- Rules ----------
+// A season plays under one rules object; nothing below reads module constants.
+//   fieldSize   — seats on the grid (humans + bots), capped by the cars available
+//   trackCount  — tracks per season (tracks repeat once the deck runs out)
+//   points      — points by finishing position (missing slots score 0)
+//   dnfPoints   — points for a DNF
+//   upgradeHand — "full": everyone holds every upgrade; N: deal N random upgrades per player
+//   draft       — snake-draft cars, then upgrade hands, before the first track (see createDraft)
+const DEFAULT_RULES = Object.freeze({
+  fieldSize: 8,
+  trackCount: 8,
+  points: Object.freeze([25,18,15,12,10,8,6,4]), // 8-player scoring
+  dnfPoints: 0,
+  upgradeHand: "full",
+  draft: false,
+});
+const RULE_PRESETS = {
+  standard: { label:"Standard (8 cars · 8 tracks)", rules:{} },
+  python10: { label:"Python env points (10 slots)", rules:{ points:[25,18,15,12,10,8,6,4,2,1] } },
+  quick4:   { label:"Quick race (4 players)",       rules:{ fieldSize:4 } },
+  long12:   { label:"Long season (12 tracks)",      rules:{ trackCount:12 } },
+  dnf1:     { label:"Consolation (1 pt per DNF)",   rules:{ dnfPoints:1 } },
+  dealt5:   { label:"Dealt hands (5 upgrades)",     rules:{ upgradeHand:5 } },
+  draft5:   { label:"Draft (cars + 5 upgrades)",    rules:{ upgradeHand:5, draft:true } },
+};
+// Partial rules -> complete, sanitised rules (unknown keys dropped).
+function normalizeRules(partial={}){
+  const r = { ...DEFAULT_RULES, ...partial };
+  const hand = r.upgradeHand === "full" ? "full" : Math.max(0, toInt(r.upgradeHand, 0));
+  return {
+    fieldSize: Math.max(1, toInt(r.fieldSize, DEFAULT_RULES.fieldSize)),
+    trackCount: Math.max(1, toInt(r.trackCount, DEFAULT_RULES.trackCount)),
+    points: (Array.isArray(r.points) ? r.points : String(r.points).split(/[\s,;]+/)).filter(p => p !== "").map(p => toInt(p)),
+    dnfPoints: toInt(r.dnfPoints, 0),
+    upgradeHand: hand,
+    draft: r.draft === true || r.draft === "true",
+  };
+}
+function presetRules(id){ return normalizeRules(RULE_PRESETS[id]?.rules); }
+
+// ---------- CSV helpers ----------
+function parseCSV(text){
+  const lines = text.trim().split(/\r?\n/);
+  const headers = lines[0].split(",").map(s=>s.trim());
+  const rows = [];
+  for(let i=1;i<lines.length;i++){
+    if(!lines[i].trim()) continue;
+    const parts = splitCSVLine(lines[i]);
+    const obj = {};
+    headers.forEach((h,idx)=> obj[h] = (parts[idx] ?? "").trim());
+    rows.push(obj);
+  }
+  return rows;
+}
+function splitCSVLine(line){
+  const out=[]; let cur=""; let inQ=false;
+  for(let i=0;i<line.length;i++){
+    const ch=line[i];
+    if(ch==='"'){ if(inQ && line[i+1]==='"'){cur+='"'; i++;} else inQ=!inQ; }
+    else if(ch==="," && !inQ){ out.push(cur); cur=""; }
+    else cur+=ch;
+  }
+  out.push(cur);
+  return out;
+}
+function csvCell(v){
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+}
+function toCSV(headers, rows){
+  const lines = [headers.map(csvCell).join(",")];
+  for(const r of rows) lines.push(r.map(csvCell).join(","));
+  return lines.join("\n") + "\n";
+}
+function toInt(v,f=0){ const n=parseInt(String(v).replace(/[^\d-]/g,""),10); return isNaN(n)?f:n; }
+function parseTrackBonus(s){
+  if(!s || !s.trim()) return {field:null, amount:0};
+  const m = s.match(/(-?\d+)\s*(Core Power|Max Laps)/i);
+  if(!m) return {field:null, amount:0};
+  return {field:m[2], amount:toInt(m[1])};
+}
+
+// ---------- Condition helpers ----------
+const CONDITION_KEYS = ["Track Type Condition","Condition","TrackType Condition","TrackTypeCondition"];
+function getUpgConditionRaw(upg){
+  for(const k of CONDITION_KEYS){
+    if(Object.prototype.hasOwnProperty.call(upg,k)){
+      const v=(upg[k]||"").trim();
+      if(v) return v;
+    }
+  }
+  return ""; // => Any
+}
+function norm(s){ return (s||"").toLowerCase().trim(); }
+// Translated type labels (i18n.js) read back as the same tokens.
+const TYPE_ALIASES = {
+  any:    ["qualquer"],
+  sunny:  ["ensolarado"],
+  night:  ["noite"],
+  rainy:  ["chuvoso"],
+  twisty: ["sinuoso"],
+};
+function tokens(raw){
+  const m = norm(raw);
+  const set = new Set();
+  if(!m || m==="-" || m==="any" || TYPE_ALIASES.any.includes(m)){ set.add("any"); return Array.from(set); }
+  if(m.includes("sun") || m.includes("☀")) set.add("sunny");
+  if(m.includes("night") || m.includes("🌙")) set.add("night");
+  if(m.includes("rain") || m.includes("☔")) set.add("rainy");
+  if(m.includes("twist") || m.includes("🌀")) set.add("twisty");
+  m.split(/[\/,|+ ]+/).forEach(tok=>{
+    const t=norm(tok);
+    if(["sunny","night","rainy","twisty"].includes(t)) set.add(t);
+    for(const [type, words] of Object.entries(TYPE_ALIASES)) if(type !== "any" && words.includes(t)) set.add(type);
+  });
+  return set.size ? Array.from(set) : ["any"];
+}
+function conditionLabel(upg){
+  const raw = getUpgConditionRaw(upg);
+  return raw ? raw : "Any";
+}
+function isUpgradeActiveOnTrack(upg, trackType){
+  const want = tokens(getUpgConditionRaw(upg));
+  const on = tokens(trackType);
+  if(want.includes("any")) return true;
+  return want.some(w => on.includes(w));
+}
+function typesMatch(a, b){
+  const A = tokens(a), B = tokens(b);
+  return A.some(t => B.includes(t));
+}
+
+// ---------- Card validation ----------
+// Checks raw CSV rows (before toInt) so typos surface instead of silently
+// becoming 0 / "any". Issues: {severity, file, row, column, message}, where row
+// is the spreadsheet row (header = 1).
+const TRACK_TYPES = ["Sunny","Night","Rainy","Twisty"];
+const TYPE_WORDS = new Set([...TRACK_TYPES.map(norm), "☀", "🌙", "☔", "🌀",
+  ...Object.entries(TYPE_ALIASES).filter(([type]) => type !== "any").flatMap(([, words]) => words)]);
+const CARD_SCHEMA = {
+  "cars.csv":     { key:"cars",     name:"Car",     ints:["Core Power","Max Laps"], type:"Track Type", anyType:true,
+                    headers:["Car","Core Power","Max Laps","Track Type","Effect"] },
+  "tracks.csv":   { key:"tracks",   name:"Track",   ints:["Total Laps"], positive:["Total Laps"], type:"Track Type", anyType:false, bonus:"Type Bonus",
+                    headers:["Track","Total Laps","Track Type","Type Bonus","Effect"] },
+  "upgrades.csv": { key:"upgrades", name:"Upgrade", ints:["Core Power","Max Laps"], type:CONDITION_KEYS, anyType:true,
+                    headers:["Upgrade","Core Power","Max Laps","Track Type Condition","Effect"] },
+};
+const BONUS_RE = /^\s*-?\d+\s*(Core Power|Max Laps)\s*$/i;
+
+function unknownTypeWords(raw){
+  return String(raw).split(/[\/,|+ ]+/).filter(Boolean).filter(w => !TYPE_WORDS.has(norm(w)));
+}
+function validateCards(raw){
+  const issues = [];
+  for(const [file, sc] of Object.entries(CARD_SCHEMA)){
+    const rows = raw[sc.key] || [];
+    const add = (severity, row, column, message) => issues.push({severity, file, row, column, message});
+    if(!rows.length){ add("error", 1, "-", "File has no cards"); continue; }
+
+    const headers = Object.keys(rows[0]);
+    const typeCol = Array.isArray(sc.type) ? sc.type.find(k => headers.includes(k)) : sc.type;
+    const required = [sc.name, ...sc.ints, ...(sc.bonus ? [sc.bonus] : []), ...(Array.isArray(sc.type) ? [] : [sc.type])];
+    const missing = required.filter(h => !headers.includes(h));
+    missing.forEach(h => add("error", 1, h, `Missing column "${h}"`));
+    if(!typeCol) add("warning", 1, CONDITION_KEYS[0], `No "${CONDITION_KEYS[0]}" column: every upgrade applies on every track`);
+    if(missing.length) continue;
+
+    const seen = new Map();
+    rows.forEach((r, i) => {
+      const row = i + 2;
+      const name = r[sc.name];
+      if(!name) add("error", row, sc.name, "Card has no name");
+      else if(seen.has(name)) add("error", row, sc.name, `Duplicate name "${name}" (first on row ${seen.get(name)})`);
+      else seen.set(name, row);
+
+      for(const col of sc.ints){
+        if(!/^-?\d+$/.test(r[col])) add("error", row, col, `"${r[col]}" is not a whole number`);
+        else if(sc.positive?.includes(col) && toInt(r[col]) <= 0) add("error", row, col, "Must be greater than 0");
+      }
+
+      if(typeCol){
+        const v = (r[typeCol] || "").trim();
+        const isAny = !v || v === "-" || norm(v) === "any";
+        if(isAny && !sc.anyType) add("error", row, typeCol, `A ${sc.name.toLowerCase()} needs a track type (${TRACK_TYPES.join(", ")})`);
+        if(!isAny){
+          const bad = unknownTypeWords(v);
+          if(bad.length) add("error", row, typeCol, `Unknown track type "${bad.join(", ")}" (expected ${TRACK_TYPES.join(", ")}${sc.anyType ? ' or "-"' : ""})`);
+        }
+      }
+
+      if(sc.bonus){
+        const v = (r[sc.bonus] || "").trim();
+        if(v && !BONUS_RE.test(v)) add("error", row, sc.bonus, `"${v}" should look like "30 Core Power" or "20 Max Laps"`);
+      }
+      parseEffects(r["Effect"], sc.key).errors.forEach(msg => add("error", row, "Effect", msg));
+    });
+  }
+  return issues;
+}
+
+// {cars, tracks, upgrades} rows -> { "cars.csv": text, ... } with the headers
+// parseCSV()/loadCards() read back.
+function cardsToCSV(raw){
+  const files = {};
+  for(const [file, sc] of Object.entries(CARD_SCHEMA)){
+    const rows = (raw[sc.key] || []).map(r => sc.headers.map(h =>
+      h === CONDITION_KEYS[0] ? (getUpgConditionRaw(r) || "-") : (r[h] ?? "")));
+    files[file] = toCSV(sc.headers, rows);
+  }
+  return files;
+}
+
+// ---------- Seeded RNG ----------
+// Every random draw goes through an rng() built from a seed code, so a session
+// can be rebuilt from its seed + car choice + upgrade picks.
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I lookalikes
+function randomSeedCode(len=6){
+  const buf = new Uint32Array(len);
+  crypto.getRandomValues(buf);
+  return Array.from(buf, n => SEED_ALPHABET[n % SEED_ALPHABET.length]).join("");
+}
+function normalizeSeedCode(s){ return String(s||"").trim().toUpperCase(); }
+function hashSeed(code){ // FNV-1a (32-bit)
+  let h = 0x811c9dc5;
+  for(let i=0;i<code.length;i++){ h ^= code.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+// mulberry32; pass `resume` (a previous rng.state()) to continue a saved stream
+function createRng(code, resume){
+  let a = resume ?? hashSeed(normalizeSeedCode(code));
+  const rng = function(){
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.state = () => a;
+  return rng;
+}
+
+// ---------- Utils ----------
+function shuffle(arr, rng){ const a=[...arr]; for(let i=a.length-1;i>0;i--){ const j=rng()*(i+1)|0; [a[i],a[j]]=[a[j],a[i]]; } return a; }
+function pickRandom(arr, n, rng){ return shuffle(arr, rng).slice(0, Math.min(n, arr.length)); }
+
+// ---------- Cards ----------
+// Raw CSV rows -> numeric card set. The rules decide how much of it a season uses.
+function loadCards({cars, tracks, upgrades}){
+  for(const c of cars){ c["Core Power"]=toInt(c["Core Power"]); c["Max Laps"]=toInt(c["Max Laps"]); }
+  for(const t of tracks){ t["Total Laps"]=toInt(t["Total Laps"]); }
+  for(const u of upgrades){ u["Core Power"]=toInt(u["Core Power"]); u["Max Laps"]=toInt(u["Max Laps"]); }
+
+  return { cars, allTracks: tracks, upgrades };
+}
+
+// ---------- Card effects ----------
+// Any card may carry an optional Effect column: ";"-separated effects, applied
+// after the card's flat stats.
+//   cp+10, ml-5       flat change            cp+15%, ml-10%   percent of the value so far
+//   …@match, …@offtype   only when the car's type matches the track's (or doesn't)
+//   …@rival, …@rivals    upgrades only: hits the points leader among the rivals / every rival
+//   persist:N            upgrades only: stays in play for N tracks, this one included
+//   shield               upgrades only: ignores one DNF while in play
+// Car effects apply to that car, track effects (hazards) to every car on it.
+// Upgrade effects follow the card's Track Type Condition, like its flat stats.
+const EFFECT_SCOPES = { cars:["match","offtype"], tracks:["match","offtype"], upgrades:["match","offtype","rival","rivals"] };
+const EFFECT_STAT_RE = /^(cp|ml)\s*([+-])\s*(\d+)\s*(%?)\s*(?:@\s*([a-z]+))?$/;
+function parseEffects(text, kind="upgrades"){
+  const effects = [], errors = [];
+  for(const raw of String(text || "").split(";").map(s => s.trim()).filter(Boolean)){
+    const low = raw.toLowerCase();
+    let m;
+    if((m = low.match(EFFECT_STAT_RE))){
+      const scope = m[5] || null;
+      if(scope && !EFFECT_SCOPES[kind].includes(scope)){
+        errors.push(`"${raw}": "@${scope}" isn't a target here (expected ${EFFECT_SCOPES[kind].map(s => "@" + s).join(", ")})`);
+        continue;
+      }
+      effects.push({ type:"stat", stat:m[1], amount:(m[2] === "-" ? -1 : 1) * toInt(m[3]), pct:m[4] === "%", scope, text:raw });
+    } else if((m = low.match(/^persist\s*[:=]?\s*(\d+)$/)) || low === "shield"){
+      if(kind !== "upgrades") errors.push(`"${raw}" only works on upgrades`);
+      else if(m && toInt(m[1]) < 1) errors.push(`"${raw}": persist needs at least 1 track`);
+      else effects.push(m ? { type:"persist", tracks:toInt(m[1]), text:raw } : { type:"shield", text:raw });
+    } else {
+      errors.push(`"${raw}" is not an effect (try "cp+10", "ml-10%", "cp-20@rival", "persist:3" or "shield")`);
+    }
+  }
+  return { effects, errors };
+}
+// Parsed once per Effect text (the editor may change it between races).
+const effectCache = new Map();
+function effectsOf(card, kind){
+  const text = card?.["Effect"];
+  if(!text) return [];
+  const key = `${kind}|${text}`;
+  if(!effectCache.has(key)) effectCache.set(key, parseEffects(text, kind).effects);
+  return effectCache.get(key);
+}
+function persistTracks(upgrade){ return effectsOf(upgrade, "upgrades").find(e => e.type === "persist")?.tracks || 1; }
+function hasShield(upgrade){ return effectsOf(upgrade, "upgrades").some(e => e.type === "shield"); }
+function isSabotage(e){ return e.scope === "rival" || e.scope === "rivals"; }
+
+// ---------- Core calc ----------
+// carried:  [{upgrade, left, shield}] upgrades still in play from earlier tracks (player.active)
+// incoming: [{source, effect}] rivals' sabotage aimed at this car
+// Every applied modifier is listed in `mods` in the order it was applied;
+// percentages work on the value reached so far. A modifier named after a card
+// is just its name; the generic ones also carry a `key` (and the card or track
+// `name`) for the UI to translate, with the English `label` kept for Node
+// tools and older saves.
+const MOD_LABELS = {
+  base: () => "Base",
+  trackBonus: () => "Track bonus",
+  hazard: name => `${name} hazard`,
+  inPlay: name => `${name} (in play)`,
+};
+function modSource(key, name){ return { key, name, label:MOD_LABELS[key](name) }; }
+
+function computeEffective(car, track, upgrade, {carried=[], incoming=[]}={}){
+  const baseCP = toInt(car["Core Power"]);
+  const baseML = toInt(car["Max Laps"]);
+  const tb = parseTrackBonus(track["Type Bonus"]||"");
+  const match = typesMatch(car["Track Type"], track["Track Type"]);
+
+  const v = { cp:baseCP, ml:baseML };
+  const mods = [
+    { ...modSource("base"), stat:"cp", delta:baseCP, pct:null },
+    { ...modSource("base"), stat:"ml", delta:baseML, pct:null },
+  ];
+  // source: a card name, or modSource()
+  const apply = (source, stat, amount, pct=false) => {
+    if(!amount) return 0; // a card's unused stat isn't a modifier
+    const delta = pct ? Math.round(v[stat] * amount / 100) : amount;
+    v[stat] += delta;
+    mods.push({ ...(typeof source === "string" ? { label:source } : source), stat, delta, pct: pct ? amount : null });
+    return delta;
+  };
+  const inScope = e => e.type === "stat" && (!e.scope || (e.scope === "match" && match) || (e.scope === "offtype" && !match));
+  const applyEffects = (label, effects) => effects.filter(inScope).forEach(e => apply(label, e.stat, e.amount, e.pct));
+
+  applyEffects(car["Car"], effectsOf(car, "cars"));
+
+  // Track bonus only if car type matches track type
+  let trackCP=0, trackML=0;
+  if(match){
+    if(tb.field==="Core Power") trackCP = apply(modSource("trackBonus"), "cp", tb.amount);
+    if(tb.field==="Max Laps")   trackML = apply(modSource("trackBonus"), "ml", tb.amount);
+  }
+  applyEffects(modSource("hazard", track["Track"]), effectsOf(track, "tracks"));
+
+  let upgCP=0, upgML=0;
+  let upgName="-", upgApplied=false, cond="-", condActive=false, shield=null;
+  if(upgrade){
+    cond = conditionLabel(upgrade);
+    condActive = isUpgradeActiveOnTrack(upgrade, track["Track Type"]);
+    upgName = upgrade["Upgrade"];
+    if(condActive){
+      upgCP = apply(upgName, "cp", toInt(upgrade["Core Power"]));
+      upgML = apply(upgName, "ml", toInt(upgrade["Max Laps"]));
+      applyEffects(upgName, effectsOf(upgrade, "upgrades"));
+      upgApplied = true;
+      if(hasShield(upgrade)) shield = upgName;
+    }
+  }
+  for(const c of carried){
+    if(!isUpgradeActiveOnTrack(c.upgrade, track["Track Type"])) continue;
+    const name = modSource("inPlay", c.upgrade["Upgrade"]);
+    apply(name, "cp", toInt(c.upgrade["Core Power"]));
+    apply(name, "ml", toInt(c.upgrade["Max Laps"]));
+    applyEffects(name, effectsOf(c.upgrade, "upgrades"));
+    if(c.shield && !shield) shield = c.upgrade["Upgrade"];
+  }
+  for(const {source, effect} of incoming) apply(source, effect.stat, effect.amount, effect.pct);
+
+  const totalLaps = toInt(track["Total Laps"]);
+  let dnf = v.ml < totalLaps;
+  if(!dnf) shield = null; // only spent when it saves a DNF
+  else if(shield) dnf = false;
+  return { cp:v.cp, ml:v.ml, dnf, shield, mods, upgName, upgApplied,
+    baseCP, baseML, trackCP, trackML, upgCP, upgML, cond, condActive };
+}
+
+// ---------- Greedy pick ----------
+// opts: computeEffective() context (e.g. {carried: player.active})
+function pickBestUpgradeGreedy(car, track, upgrades, usedSet, opts){
+  let best = { upg: null, eff: computeEffective(car, track, null, opts), key: 0 };
+  best.key = (best.eff.dnf?0:1)*10_000_000 + best.eff.cp*10_000 + best.eff.ml;
+
+  for(const upg of upgrades){
+    if(usedSet && usedSet.has(upg["Upgrade"])) continue;
+    const eff = computeEffective(car, track, upg, opts);
+    const key = (eff.dnf?0:1)*10_000_000 + eff.cp*10_000 + eff.ml;
+    if(!best || key > best.key) best = { upg, eff, key };
+  }
+  return best.upg; // can be null
+}
+
+// ---------- Season ----------
+// hand: the upgrades this player may play (null = the season's full pool)
+// active: persisting upgrades still in play, [{upgrade, left, shield}] (see resolveTrack)
+function newPlayer(id, {name, isHuman=false, car, strategy=null}){
+  return { id, name, isHuman, car, strategy, hand:null, points:0, wins:0, finishes:0, usedUpgrades:new Set(), active:[] };
+}
+function handOf(season, player){ return player.hand || season.upgrades; }
+function unusedUpgrades(season, player){
+  return handOf(season, player).filter(u => !player.usedUpgrades.has(u["Upgrade"]));
+}
+// Humans take their chosen cars ({name, carIndex}); bots fill the remaining
+// seats (up to `seatCount`) with the leftover cars in CSV order, playing
+// strategies[i] (default greedy). A taken car falls back to the first free one.
+function buildSeats(cars, humans=[], {seatCount=DEFAULT_RULES.fieldSize, strategies=[]}={}){
+  const taken = new Set();
+  const seats = humans.map(h => {
+    let car = cars[h.carIndex];
+    if(!car || taken.has(car)) car = cars.find(c => !taken.has(c));
+    taken.add(car);
+    return {name:h.name, isHuman:true, car};
+  });
+  const botCars = cars.filter(c => !taken.has(c)).slice(0, Math.max(0, seatCount - seats.length));
+  return [...seats, ...botCars.map((c,i)=>({
+    name:`Bot ${i+1}`, isHuman:false, car:c, strategy:strategies[i] || DEFAULT_STRATEGY,
+  }))];
+}
+// Shuffled deck of tracks, reshuffled when a long season runs out of cards.
+function drawTracks(allTracks, count, rng){
+  const out = [];
+  while(out.length < count && allTracks.length) out.push(...pickRandom(allTracks, count - out.length, rng));
+  return out;
+}
+// Draw the track order (then any dealt hands) from the seed and seat everyone.
+// Seats default to all bots in CSV car order, up to the field size.
+function startSeason(cards, {seed, seats, rules}={}){
+  rules = normalizeRules(rules);
+  const code = normalizeSeedCode(seed) || randomSeedCode();
+  const rng = createRng(code);
+  seats = seats || buildSeats(cards.cars, [], {seatCount:rules.fieldSize});
+  const season = {
+    cars: cards.cars,
+    allTracks: cards.allTracks,
+    upgrades: cards.upgrades,
+    rules,
+    seed: code,
+    rng,
+    tracks: drawTracks(cards.allTracks, rules.trackCount, rng),
+    players: seats.slice(0, rules.fieldSize).map((s,i)=>newPlayer(i+1, s)),
+    currentTrackIndex: 0,
+    resultsByTrack: [],
+    draft: null,
+    started: true,
+  };
+  if(rules.draft) createDraft(season);
+  else if(rules.upgradeHand !== "full"){
+    for(const p of season.players) p.hand = pickRandom(cards.upgrades, rules.upgradeHand, rng);
+  }
+  return season;
+}
+function currentTrack(season){ return season.tracks[season.currentTrackIndex] || null; }
+function isSeasonOver(season){ return season.currentTrackIndex >= season.tracks.length; }
+
+// ---------- Draft ----------
+// With rules.draft the seats' cars are ignored: once the tracks are revealed,
+// everyone snake-drafts in a seeded random order — one car each, then upgrade
+// hands from a shared open pool. The pool holds enough copies of the deck for
+// every hand, but nobody may hold two copies of the same upgrade (a seat left
+// with nothing it may take skips the pick).
+// season.draft = {order:[pid], handSize, pool:{upgrade name: copies left}, cursor}
+// while drafting; null once everyone has their car and hand.
+function draftHandSize(rules, upgrades){
+  const n = rules.upgradeHand === "full" ? Math.ceil(rules.trackCount / 2) : rules.upgradeHand;
+  return Math.min(n, upgrades.length);
+}
+function createDraft(season){
+  const n = season.players.length;
+  const handSize = draftHandSize(season.rules, season.upgrades);
+  // one spare copy each, so late pickers rarely find only cards they already hold
+  const copies = season.upgrades.length ? Math.ceil(n * handSize / season.upgrades.length) + 1 : 0;
+  season.draft = {
+    order: shuffle(season.players.map(p => p.id), season.rng),
+    handSize,
+    pool: Object.fromEntries(season.upgrades.map(u => [u["Upgrade"], copies])),
+    cursor: 0,
+  };
+  for(const p of season.players){ p.car = null; p.hand = []; }
+  skipDeadDraftTurns(season);
+  return season;
+}
+// Whose pick it is: {player, kind:"car"|"upgrade", round, pick, picks}, or null when done.
+// Round 0 is the cars; the order reverses every round.
+function draftTurn(season){
+  const d = season.draft;
+  if(!d) return null;
+  const n = d.order.length, round = Math.floor(d.cursor / n);
+  if(round > d.handSize) return null;
+  const i = d.cursor % n;
+  const pid = d.order[round % 2 ? n - 1 - i : i];
+  return {
+    player: season.players.find(p => p.id === pid), kind: round === 0 ? "car" : "upgrade",
+    round, pick: d.cursor + 1, picks: n * (d.handSize + 1),
+  };
+}
+function draftOptions(season, turn=draftTurn(season)){
+  if(!turn) return [];
+  if(turn.kind === "car"){
+    const taken = new Set(season.players.map(p => p.car).filter(Boolean));
+    return season.cars.filter(c => !taken.has(c));
+  }
+  const held = new Set(turn.player.hand.map(u => u["Upgrade"]));
+  return season.upgrades.filter(u => season.draft.pool[u["Upgrade"]] > 0 && !held.has(u["Upgrade"]));
+}
+// Skips upgrade turns with nothing left to take; closes the draft at the end.
+function skipDeadDraftTurns(season){
+  let turn;
+  while((turn = draftTurn(season)) && !draftOptions(season, turn).length) season.draft.cursor += 1;
+  if(!turn) season.draft = null;
+}
+// Applies the current seat's pick (a car or an upgrade card from draftOptions()).
+function draftPick(season, card){
+  const turn = draftTurn(season);
+  if(!turn) throw new Error("The draft is over");
+  if(!draftOptions(season, turn).includes(card)) throw new Error(`${turn.player.name} can't draft that card`);
+  if(turn.kind === "car") turn.player.car = card;
+  else { turn.player.hand.push(card); season.draft.pool[card["Upgrade"]] -= 1; }
+  season.draft.cursor += 1;
+  skipDeadDraftTurns(season);
+  return turn;
+}
+
+// Bots draft against the revealed tracks: a car for its finishes and pace
+// (counting the best upgrades it could add), then the upgrade that adds the
+// most to what their hand can do on the tracks it isn't already covering.
+function draftTrackValue(car, track, upgrade){
+  const e = computeEffective(car, track, upgrade);
+  return (e.dnf ? 0 : 1000) + e.cp;
+}
+// Greedy one-upgrade-per-track assignment: total gain over racing bare.
+function handGain(car, tracks, hand, limit=Infinity){
+  const gains = [];
+  hand.forEach((u, ui) => tracks.forEach((t, ti) => {
+    const g = draftTrackValue(car, t, u) - draftTrackValue(car, t, null);
+    if(g > 0) gains.push({ui, ti, g});
+  }));
+  gains.sort((a, b) => b.g - a.g);
+  const usedU = new Set(), usedT = new Set();
+  let total = 0;
+  for(const {ui, ti, g} of gains){
+    if(usedU.size >= limit) break;
+    if(usedU.has(ui) || usedT.has(ti)) continue;
+    usedU.add(ui); usedT.add(ti); total += g;
+  }
+  return total;
+}
+function draftValue(season, turn, card){
+  if(turn.kind === "car"){
+    const bare = season.tracks.reduce((n, t) => n + draftTrackValue(card, t, null), 0);
+    return bare + handGain(card, season.tracks, season.upgrades, season.draft.handSize);
+  }
+  const {car, hand} = turn.player;
+  return handGain(car, season.tracks, [...hand, card]) - handGain(car, season.tracks, hand);
+}
+function decideDraftPick(season, turn=draftTurn(season)){
+  let best = null, bestValue = -Infinity;
+  for(const card of draftOptions(season, turn)){
+    const v = draftValue(season, turn, card);
+    if(v > bestValue){ best = card; bestValue = v; }
+  }
+  return best;
+}
+// Lets bots (and, with humans:true, everyone) pick until a human is up;
+// returns that human's turn, or null when the draft is done.
+function runDraft(season, {humans=false}={}){
+  let turn;
+  while((turn = draftTurn(season)) && (humans || !turn.player.isHuman)) draftPick(season, decideDraftPick(season, turn));
+  return turn;
+}
+
+// ---------- Save / restore ----------
+// A season as plain JSON: cards are embedded so a save opens on a machine with
+// different CSVs; cars/tracks/upgrades inside the season are referenced by name.
+const SAVE_SCHEMA = "overdr1ve-season";
+const SAVE_VERSION = 4; // 2: rules + dealt hands; 3: draft in progress; 4: upgrades in play
+
+function serializeSeason(season){
+  return {
+    schema: SAVE_SCHEMA,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    cards: { cars:season.cars, tracks:season.allTracks, upgrades:season.upgrades },
+    season: {
+      rules: season.rules,
+      seed: season.seed,
+      rngState: season.rng.state(),
+      tracks: season.tracks.map(t => t["Track"]),
+      players: season.players.map(p => ({
+        id:p.id, name:p.name, isHuman:p.isHuman, car:p.car ? p.car["Car"] : null, strategy:p.strategy,
+        hand: p.hand && p.hand.map(u => u["Upgrade"]),
+        points:p.points, wins:p.wins, finishes:p.finishes, usedUpgrades:[...p.usedUpgrades],
+        active: p.active.map(a => ({ upgrade:a.upgrade["Upgrade"], left:a.left, shield:a.shield })),
+      })),
+      currentTrackIndex: season.currentTrackIndex,
+      resultsByTrack: season.resultsByTrack.map(({track, ranked}) => ({track:track["Track"], ranked})),
+      draft: season.draft && { ...season.draft, pool: { ...season.draft.pool } },
+    },
+  };
+}
+
+function restoreSeason(data){
+  if(!data || data.schema !== SAVE_SCHEMA) throw new Error("Not an Overdr1ve season file");
+  if(data.version > SAVE_VERSION) throw new Error(`Season file version ${data.version} is newer than this app supports (${SAVE_VERSION})`);
+  const {cars, tracks:allTracks, upgrades} = data.cards || {};
+  const sv = data.season;
+  if(!Array.isArray(cars) || !Array.isArray(allTracks) || !Array.isArray(upgrades) || !sv) throw new Error("Season file is incomplete");
+
+  const lookup = (list, key, name) => {
+    const found = list.find(x => x[key] === name);
+    if(!found) throw new Error(`Season file references unknown ${key.toLowerCase()} "${name}"`);
+    return found;
+  };
+  const trackByName = name => lookup(allTracks, "Track", name);
+  return {
+    cars, allTracks, upgrades,
+    rules: normalizeRules(sv.rules), // version 1 files played the default rules
+    seed: sv.seed,
+    rng: createRng(sv.seed, sv.rngState),
+    tracks: sv.tracks.map(trackByName),
+    players: sv.players.map(p => ({
+      ...newPlayer(p.id, {name:p.name, isHuman:p.isHuman, car:p.car === null ? null : lookup(cars, "Car", p.car), strategy:p.strategy}),
+      hand: p.hand ? p.hand.map(name => lookup(upgrades, "Upgrade", name)) : null,
+      points:p.points, wins:p.wins, finishes:p.finishes, usedUpgrades:new Set(p.usedUpgrades),
+      active: (p.active || []).map(a => ({ ...a, upgrade:lookup(upgrades, "Upgrade", a.upgrade) })),
+    })),
+    currentTrackIndex: sv.currentTrackIndex,
+    resultsByTrack: sv.resultsByTrack.map(({track, ranked}) => ({track:trackByName(track), ranked})),
+    draft: sv.draft || null,
+    started: true,
+  };
+}
+
+// ---------- Ranking ----------
+// Finishers first, then DNFs; each group by CP, then ML, then seat.
+function byPace(a, b){
+  return (b.effCP - a.effCP) || (b.effML - a.effML) || (a.id - b.id);
+}
+function rankResults(results){
+  const finishers = results.filter(r => !r.dnf).sort(byPace);
+  const dnfs = results.filter(r => r.dnf).sort(byPace);
+  return [...finishers, ...dnfs];
+}
+function pointsFor(rules, pos, dnf){ return dnf ? rules.dnfPoints : (rules.points[pos] ?? 0); }
+// Standings tiebreak: points, wins, finishes, seat.
+function orderStandings(players){
+  return [...players].sort((a, b) =>
+    (b.points - a.points) ||
+    (b.wins - a.wins) ||
+    (b.finishes - a.finishes) ||
+    (a.id - b.id)
+  );
+}
+// Standings as they stood after each resolved track, replayed from
+// resultsByTrack: one orderStandings() snapshot per track.
+function standingsHistory(season){
+  const tally = new Map(season.players.map(p => [p.id,
+    {id:p.id, name:p.name, isHuman:p.isHuman, car:p.car, strategy:p.strategy, points:0, wins:0, finishes:0}]));
+  return season.resultsByTrack.map(({ranked}) => {
+    for(const r of ranked){
+      const t = tally.get(r.id);
+      t.points += r.points || 0;
+      if(!r.dnf) t.finishes += 1;
+    }
+    const winner = ranked.find(r => !r.dnf);
+    if(winner) tally.get(winner.id).wins += 1;
+    return orderStandings([...tally.values()].map(t => ({...t})));
+  });
+}
+
+// Sabotage for this track: every @rival/@rivals effect in play (the upgrade
+// just played or one still persisting, where its condition holds), as
+// pid -> [{source, effect}]. @rival hits the points leader among the others.
+function sabotageOn(season, track, picked){
+  const incoming = new Map(season.players.map(p => [p.id, []]));
+  const standings = orderStandings(season.players);
+  for(const p of season.players){
+    const inPlay = [picked.get(p.id), ...p.active.map(a => a.upgrade)]
+      .filter(u => u && isUpgradeActiveOnTrack(u, track["Track Type"]));
+    for(const u of inPlay) for(const e of effectsOf(u, "upgrades")){
+      if(e.type !== "stat" || !isSabotage(e)) continue;
+      const rivals = standings.filter(r => r.id !== p.id);
+      for(const r of e.scope === "rivals" ? rivals : rivals.slice(0, 1)){
+        incoming.get(r.id).push({ source:`${u["Upgrade"]} from ${p.name}`, effect:e });
+      }
+    }
+  }
+  return incoming;
+}
+
+// Resolve the current track from [{pid, upgrade}] decisions (missing = no
+// upgrade): score it, burn the used upgrades and advance the season.
+function resolveTrack(season, decisions){
+  const track = currentTrack(season);
+  if(!track) throw new Error("Season is already finished");
+
+  const picked = new Map(season.players.map(p => [p.id, decisions.find(d=>d.pid===p.id)?.upgrade || null]));
+  const incoming = sabotageOn(season, track, picked);
+  const results = season.players.map(p=>{
+    const eff = computeEffective(p.car, track, picked.get(p.id), {carried:p.active, incoming:incoming.get(p.id)});
+    return { id:p.id, name:p.name, isHuman:p.isHuman, car:p.car["Car"],
+      effCP:eff.cp, effML:eff.ml, dnf:eff.dnf, upgrade:eff.upgName,
+      upgApplied:eff.upgApplied, cond:eff.cond, condActive:eff.condActive, br:eff };
+  });
+
+  // Persisting upgrades: count down, spend a shield that saved a DNF, and
+  // put this track's persist:N card in play for the next N-1 tracks.
+  for(const p of season.players){
+    const {shield} = results.find(r => r.id === p.id).br;
+    const u = picked.get(p.id);
+    p.active = p.active
+      .map(a => ({ ...a, left:a.left - 1, shield:a.shield && a.upgrade["Upgrade"] !== shield }))
+      .filter(a => a.left > 0);
+    if(u && persistTracks(u) > 1) p.active.push({ upgrade:u, left:persistTracks(u) - 1, shield:hasShield(u) && shield !== u["Upgrade"] });
+  }
+
+  const ranked = rankResults(results);
+  ranked.forEach((r,i)=>{
+    const pl = season.players.find(p=>p.id===r.id);
+    r.points = pointsFor(season.rules, i, r.dnf);
+    pl.points += r.points;
+    if(!r.dnf) pl.finishes += 1;
+  });
+  const winner = ranked.find(r => !r.dnf);
+  if(winner) season.players.find(p=>p.id===winner.id).wins += 1;
+
+  // mark used upgrades (single-use)
+  for(const d of decisions){
+    if(d.upgrade){
+      const pl = season.players.find(p=>p.id===d.pid);
+      pl.usedUpgrades.add(d.upgrade["Upgrade"]);
+    }
+  }
+
+  const entry = {track, ranked};
+  season.resultsByTrack.push(entry);
+  season.currentTrackIndex += 1;
+  return entry;
+}
+
+// ---------- Race log ----------
+// Every track resolution goes into an append-only event log over the season
+// as it stood when the log opened: {base, events}. Undo, redo and rewinding
+// to an earlier track are events too, so the log reads as what happened at
+// the table, and the season at any point is the base with the surviving
+// track events replayed (raceLogTimeline()). A track played after an undo
+// starts a new branch: the undone tracks can no longer be redone.
+//   {type:"track", index, track, decisions:[{pid, upgrade}], rngState}  (card names)
+//   {type:"undo"} | {type:"redo"} | {type:"rewind", to}                  (to = tracks kept)
+function createRaceLog(season){
+  return { base: serializeSeason(season).season, events: [] };
+}
+// The track events in play, the undone ones redo would bring back (next
+// first), and per event the track events it played or moved.
+function raceLogTimeline(log){
+  const applied = [], undone = [], steps = [];
+  for(const e of log.events){
+    let moved = [];
+    if(e.type === "track"){ applied.push(e); undone.length = 0; moved = [e]; }
+    else if(e.type === "undo"){ moved = applied.splice(-1); undone.unshift(...moved); }
+    else if(e.type === "redo"){ moved = undone.splice(0, 1); applied.push(...moved); }
+    else if(e.type === "rewind"){ moved = applied.splice(e.to); undone.unshift(...moved); }
+    steps.push({ event:e, tracks:moved });
+  }
+  return { applied, undone, steps };
+}
+// Resolve the current track from `decisions` and log it. Call it after the
+// bots have decided, so the event carries the rng as they left it.
+function recordTrack(season, log, decisions){
+  log.events.push({
+    type: "track",
+    index: season.currentTrackIndex,
+    track: currentTrack(season)["Track"],
+    decisions: decisions.map(d => ({ pid:d.pid, upgrade:d.upgrade ? d.upgrade["Upgrade"] : null })),
+    rngState: season.rng.state(),
+  });
+  return resolveTrack(season, decisions);
+}
+// A fresh season (cards taken from `cards`, e.g. the live season) rebuilt
+// from the log. Throws if an event doesn't fit the season it replays onto.
+function replayRaceLog(log, cards){
+  const season = restoreSeason({
+    schema: SAVE_SCHEMA, version: SAVE_VERSION,
+    cards: { cars:cards.cars, tracks:cards.allTracks, upgrades:cards.upgrades },
+    season: log.base,
+  });
+  for(const e of raceLogTimeline(log).applied){
+    if(currentTrack(season)?.["Track"] !== e.track) throw new Error(`Race log expects "${e.track}" at track ${season.currentTrackIndex + 1}`);
+    resolveTrack(season, e.decisions.map(d => ({
+      pid: d.pid,
+      upgrade: d.upgrade === null ? null : season.upgrades.find(u => u["Upgrade"] === d.upgrade) || null,
+    })));
+    season.rng = createRng(season.seed, e.rngState);
+  }
+  return season;
+}
+function canUndo(log){ return !!log && raceLogTimeline(log).applied.length > 0; }
+function canRedo(log){ return !!log && raceLogTimeline(log).undone.length > 0; }
+
+// ---------- Bot strategies ----------
+// A strategy is { id, name, difficulty, decide(season, player, track) } and
+// returns the upgrade to play (or null). Seats name theirs in player.strategy.
+function decideGreedy(season, player, track){
+  return pickBestUpgradeGreedy(player.car, track, handOf(season, player), player.usedUpgrades, {carried:player.active});
+}
+function decideRandom(season, player){
+  const left = unusedUpgrades(season, player);
+  return left.length ? left[season.rng()*left.length|0] : null;
+}
+
+// Does result a finish ahead of b? (same order as rankResults)
+function isAhead(a, b){ return a.dnf !== b.dnf ? !a.dnf : byPace(a, b) < 0; }
+// Persisting upgrades still in play `ahead` tracks from now (0 = this track).
+// Predictions leave sabotage out.
+function carriedAhead(player, ahead=0){ return player.active.filter(a => a.left > ahead); }
+// Rivals' expected results on `track`, assuming each plays greedy there.
+// Cached per season until the next track resolves (hands only change then)
+// or the race log swaps in replayed players.
+const predictCache = new WeakMap(); // season -> {round, byKey:Map}
+function predictGreedy(season, p, track, ahead=0){
+  let c = predictCache.get(season);
+  if(!c || c.round !== season.currentTrackIndex || c.players !== season.players){
+    c = { round:season.currentTrackIndex, players:season.players, byKey:new Map() };
+    predictCache.set(season, c);
+  }
+  const key = `${p.id}|${track["Track"]}|${ahead}`;
+  if(!c.byKey.has(key)){
+    const opts = {carried:carriedAhead(p, ahead)};
+    const eff = computeEffective(p.car, track, pickBestUpgradeGreedy(p.car, track, handOf(season, p), p.usedUpgrades, opts), opts);
+    c.byKey.set(key, { id:p.id, effCP:eff.cp, effML:eff.ml, dnf:eff.dnf });
+  }
+  return c.byKey.get(key);
+}
+function predictField(season, player, track, ahead=0){
+  return season.players.filter(p => p.id !== player.id).map(p => predictGreedy(season, p, track, ahead));
+}
+function predictResult(season, player, track, upgrade, field, ahead=0){
+  const eff = computeEffective(player.car, track, upgrade, {carried:carriedAhead(player, ahead)});
+  const me = { id:player.id, effCP:eff.cp, effML:eff.ml, dnf:eff.dnf };
+  const pos = field.filter(r => isAhead(r, me)).length;
+  return { ...me, pos, points:pointsFor(season.rules, pos, eff.dnf) };
+}
+
+// Look-ahead table for the rest of the season (current track first):
+// value[t][k] = predicted points on remaining track t playing option k
+// (0 = no upgrade, k = left[k-1]); best(t, mask) = most predicted points from
+// track t on with the cards in mask already spent.
+const PLANNER_MAX_CARDS = 12;
+function planAhead(season, player){
+  const left = unusedUpgrades(season, player);
+  const tracks = season.tracks.slice(season.currentTrackIndex);
+  const options = [null, ...left];
+  const value = tracks.map((t, ahead) => {
+    const field = predictField(season, player, t, ahead);
+    return options.map(u => predictResult(season, player, t, u, field, ahead).points);
+  });
+
+  const memo = new Map();
+  function best(t, mask){
+    if(t >= tracks.length) return 0;
+    const key = t * (1 << left.length) + mask;
+    if(memo.has(key)) return memo.get(key);
+    let v = value[t][0] + best(t+1, mask);
+    left.forEach((u,k) => {
+      if(mask & (1 << k)) return;
+      v = Math.max(v, value[t][k+1] + best(t+1, mask | (1 << k)));
+    });
+    memo.set(key, v);
+    return v;
+  }
+  return { left, value, best };
+}
+
+// Planner: spread the remaining upgrades over all remaining tracks to
+// maximise predicted points, then play this track's share. Ties keep the
+// card for later.
+function decidePlanner(season, player, track){
+  if(unusedUpgrades(season, player).length > PLANNER_MAX_CARDS) return decideGreedy(season, player, track);
+  const {left, value, best} = planAhead(season, player);
+  let pick = null, top = value[0][0] + best(1, 0);
+  left.forEach((u,k) => {
+    const v = value[0][k+1] + best(1, 1 << k);
+    if(v > top){ top = v; pick = u; }
+  });
+  return pick;
+}
+
+// What-if for the upgrade picker: every option on the current track (no
+// upgrade first) with its effective stats and predicted finish against the
+// rivals' greedy picks. `cost` is the predicted points the rest of the season
+// loses by spending the card now, `total` this track plus the best rest of
+// season; both null when too many cards are left to plan. `recommended`
+// marks the planner's pick.
+function adviseUpgrades(season, player){
+  const track = currentTrack(season);
+  const field = predictField(season, player, track);
+  const left = unusedUpgrades(season, player);
+  const plan = left.length <= PLANNER_MAX_CARDS ? planAhead(season, player) : null;
+  const keep = plan && plan.best(1, 0);
+  const advice = [null, ...left].map((u, k) => {
+    const eff = computeEffective(player.car, track, u, {carried:player.active});
+    const {pos, points} = predictResult(season, player, track, u, field);
+    const future = plan && plan.best(1, k ? 1 << (k-1) : 0);
+    return { upgrade:u, effCP:eff.cp, effML:eff.ml, dnf:eff.dnf, condActive:eff.condActive, mods:eff.mods, pos, points,
+      cost: plan ? keep - future : null, total: plan ? points + future : null, recommended:false };
+  });
+  const pick = plan
+    ? advice.reduce((a, b) => b.total > a.total ? b : a)
+    : advice.find(a => a.upgrade === decideGreedy(season, player, track)) || advice[0];
+  pick.recommended = true;
+  return advice;
+}
+
+// Spoiler: finish ahead of the championship leader (or, before anyone has
+// scored, this track's predicted winner) with the weakest card that does it;
+// otherwise race greedy.
+function decideBlocker(season, player, track){
+  const rivals = season.players.filter(p => p.id !== player.id);
+  if(!rivals.length) return decideGreedy(season, player, track);
+  const field = predictField(season, player, track);
+  const targetId = rivals.some(p => p.points > 0) ? orderStandings(rivals)[0].id : rankResults(field)[0].id;
+  const target = field.find(r => r.id === targetId);
+
+  const strength = u => toInt(u["Core Power"]) + toInt(u["Max Laps"]);
+  const left = unusedUpgrades(season, player)
+    .sort((a,b) => strength(a) - strength(b));
+  for(const u of [null, ...left]){
+    const me = predictResult(season, player, track, u, field);
+    if(!me.dnf && isAhead(me, target)) return u;
+  }
+  return decideGreedy(season, player, track);
+}
+
+// Learned bot: the PPO agent from data_experiment/ (Overdr1veEnv), exported
+// by data_experiment/export_policy.py as VecNormalize stats plus the actor MLP.
+// The observation matches Overdr1veEnv._get_obs():
+//   [car Core Power, car Max Laps, one-hot track type (policy.trackTypes),
+//    track Total Laps, rivals' mean Core Power, rivals' mean Max Laps]
+// normalised and clipped as VecNormalize does. Action k plays policy.actions[k]
+// (null = no upgrade); only cards still in hand are eligible. With no policy
+// loaded, or none of the hand in its action set, the bot plays greedy.
+const POLICY_SCHEMA = "overdr1ve-policy";
+let learnedPolicy = null;
+function loadPolicy(data){
+  if(data === null){ learnedPolicy = null; return null; }
+  if(data?.schema !== POLICY_SCHEMA) throw new Error("Not an Overdr1ve policy file");
+  if(data.version !== 1) throw new Error(`Policy version ${data.version} is not supported`);
+  const inputs = 2 + data.trackTypes.length + 1 + 2;
+  if(data.layers[0]?.weight[0]?.length !== inputs) throw new Error(`Policy expects ${data.layers[0]?.weight[0]?.length} inputs, not ${inputs}`);
+  if(data.layers[data.layers.length - 1].bias.length !== data.actions.length) throw new Error("Policy actions don't match its output layer");
+  learnedPolicy = data;
+  return data;
+}
+function activePolicy(){ return learnedPolicy; }
+function policyObservation(policy, season, player, track){
+  const rivals = season.players.filter(p => p.id !== player.id);
+  const mean = key => rivals.length ? rivals.reduce((sum, p) => sum + toInt(p.car[key]), 0) / rivals.length : 0;
+  const types = tokens(track["Track Type"]);
+  const raw = [
+    toInt(player.car["Core Power"]), toInt(player.car["Max Laps"]),
+    ...policy.trackTypes.map(type => types.includes(norm(type)) ? 1 : 0),
+    toInt(track["Total Laps"]),
+    mean("Core Power"), mean("Max Laps"),
+  ];
+  const {mean: mu, var: v, epsilon, clip} = policy.obs;
+  if(!mu) return raw;
+  return raw.map((x, i) => Math.max(-clip, Math.min(clip, (x - mu[i]) / Math.sqrt(v[i] + epsilon))));
+}
+const ACTIVATIONS = { tanh:Math.tanh, relu:x => Math.max(0, x), linear:x => x };
+function policyLogits(policy, obs){
+  return policy.layers.reduce((h, {weight, bias, activation}) =>
+    weight.map((row, o) => ACTIVATIONS[activation](row.reduce((sum, w, i) => sum + w * h[i], bias[o]))), obs);
+}
+function decidePolicy(season, player, track){
+  const policy = learnedPolicy;
+  if(!policy) return decideGreedy(season, player, track);
+  const hand = new Map(unusedUpgrades(season, player).map(u => [u["Upgrade"], u]));
+  const legal = policy.actions.map(name => name === null || hand.has(name));
+  if(hand.size && !legal.some((ok, k) => ok && policy.actions[k] !== null)) return decideGreedy(season, player, track);
+  const logits = policyLogits(policy, policyObservation(policy, season, player, track));
+  let best = -1;
+  logits.forEach((v, k) => { if(legal[k] && (best < 0 || v > logits[best])) best = k; });
+  const name = policy.actions[best];
+  return name === null ? null : hand.get(name);
+}
+
+const STRATEGIES = {
+  random:  { id:"random",  name:"Random",  difficulty:"Easy",    decide:decideRandom },
+  greedy:  { id:"greedy",  name:"Greedy",  difficulty:"Normal",  decide:decideGreedy },
+  planner: { id:"planner", name:"Planner", difficulty:"Hard",    decide:decidePlanner },
+  blocker: { id:"blocker", name:"Blocker", difficulty:"Spoiler", decide:decideBlocker },
+  ppo:     { id:"ppo",     name:"PPO",     difficulty:"Learned", decide:decidePolicy },
+};
+const DEFAULT_STRATEGY = "greedy";
+function registerStrategy(strategy){ STRATEGIES[strategy.id] = strategy; }
+function strategyLabel(id){
+  const s = STRATEGIES[id] || STRATEGIES[DEFAULT_STRATEGY];
+  return `${s.difficulty} · ${s.name}`;
+}
+function decideBot(season, player, track){
+  return (STRATEGIES[player.strategy] || STRATEGIES[DEFAULT_STRATEGY]).decide(season, player, track);
+}
+
+// Play every remaining track with decide(season, player, track) for each seat.
+function playSeason(season, decide=decideBot){
+  runDraft(season, {humans:true});
+  while(!isSeasonOver(season)){
+    const track = currentTrack(season);
+    const decisions = season.players.map(p=>({pid:p.id, upgrade:decide(season, p, track)}));
+    resolveTrack(season, decisions);
+  }
+  return season;
+}
+
+// ---------- Balance lab (Monte Carlo) ----------
+// All-bot seasons run in steps so a Web Worker (or the page, as a fallback)
+// can report progress between them. Each season seats a random grid of
+// rules.fieldSize cars, so every car gets races whatever its CSV position.
+function createBalanceRun(cards, {seasons=1000, mode=DEFAULT_STRATEGY, seed="LAB", rules}={}){
+  const tally = (list, key, init) => new Map(list.map(x => [x[key], {...init}]));
+  return {
+    cards, seasons, mode, seed: normalizeSeedCode(seed) || "LAB", rules: normalizeRules(rules), done: 0,
+    cars: tally(cards.cars, "Car", {seasons:0, races:0, wins:0, titles:0, points:0, dnfs:0}),
+    tracks: tally(cards.allTracks, "Track", {races:0, entries:0, dnfs:0}),
+    upgrades: tally(cards.upgrades, "Upgrade", {picks:0}),
+    decisions: 0,
+  };
+}
+function stepBalanceRun(run, count=50){
+  const {cards, rules, mode} = run;
+  const end = Math.min(run.seasons, run.done + count);
+  for(; run.done < end; run.done++){
+    const code = `${run.seed}-${run.done}`;
+    const grid = shuffle(cards.cars, createRng(`${code}/grid`));
+    const seats = buildSeats(grid, [], {seatCount:rules.fieldSize, strategies:grid.map(() => mode)});
+    const season = playSeason(startSeason(cards, {seed:code, seats, rules}));
+
+    for(const p of season.players) run.cars.get(p.car["Car"]).seasons += 1;
+    run.cars.get(orderStandings(season.players)[0].car["Car"]).titles += 1;
+    for(const {track, ranked} of season.resultsByTrack){
+      const t = run.tracks.get(track["Track"]);
+      t.races += 1;
+      ranked.forEach((r,i) => {
+        const c = run.cars.get(r.car);
+        c.races += 1; c.points += r.points;
+        if(r.dnf){ c.dnfs += 1; t.dnfs += 1; }
+        else if(i === 0) c.wins += 1;
+        t.entries += 1;
+        run.decisions += 1;
+        if(r.upgrade !== "-") run.upgrades.get(r.upgrade).picks += 1;
+      });
+    }
+  }
+  return run.done >= run.seasons;
+}
+// Plain, cloneable summary (rates in 0..1; avgPoints per season entered).
+function balanceSummary(run){
+  const rate = (n, d) => d ? n / d : 0;
+  return {
+    seasons: run.done, mode: run.mode, seed: run.seed, rules: run.rules,
+    cars: [...run.cars].map(([car, c]) => ({
+      car, seasons:c.seasons, races:c.races, winRate:rate(c.wins, c.races), titleRate:rate(c.titles, c.seasons),
+      avgPoints:rate(c.points, c.seasons), dnfRate:rate(c.dnfs, c.races),
+    })),
+    tracks: [...run.tracks].map(([track, t]) => ({
+      track, type: run.cards.allTracks.find(x => x["Track"] === track)["Track Type"],
+      races:t.races, dnfRate:rate(t.dnfs, t.entries),
+    })),
+    upgrades: [...run.upgrades].map(([upgrade, u]) => ({
+      upgrade, picks:u.picks, pickRate:rate(u.picks, run.decisions),
+    })),
+  };
+}
+function balanceToCSV(summary){
+  const meta = [summary.seasons, STRATEGIES[summary.mode]?.name || summary.mode, summary.seed];
+  const META = ["Simulation Size","Mode","Seed"];
+  return {
+    "balance_cars.csv": toCSV(["Car","Seasons","Races","Win Rate","Title Rate","Avg Points","DNF Rate",...META],
+      summary.cars.map(c => [c.car, c.seasons, c.races, c.winRate, c.titleRate, c.avgPoints, c.dnfRate, ...meta])),
+    "balance_tracks.csv": toCSV(["Track","Track Type","Races","DNF Rate",...META],
+      summary.tracks.map(t => [t.track, t.type, t.races, t.dnfRate, ...meta])),
+    "balance_upgrades.csv": toCSV(["Upgrade","Picks","Pick Rate",...META],
+      summary.upgrades.map(u => [u.upgrade, u.picks, u.pickRate, ...meta])),
+  };
+}
+
+// ---------- Per-track results export ----------
+// One row per player per track, in the column layout of
+// data_experiment/results_csv/combined_simulation_results_*.csv, so real
+// playtests load into the notebooks next to simulated runs. Mode is the bot's
+// strategy name ("Greedy", "PPO", like the Python runs) or "Human"; CP/ML
+// are effective.
+const RESULTS_HEADERS = ["Run ID","Mode","Player ID","Car","Upgrade","Track","Track Type","Total Laps",
+  "Core Power","Max Laps","Can Finish","Rank","Points Earned"];
+function resultsMode(player){
+  if(player.isHuman) return "Human";
+  const id = player.strategy || DEFAULT_STRATEGY;
+  return STRATEGIES[id]?.name || id.charAt(0).toUpperCase() + id.slice(1); // "PPO", as the notebooks filter on
+}
+function seasonResultsToCSV(season, {runId=0}={}){
+  const byId = new Map(season.players.map(p => [p.id, p]));
+  const rows = season.resultsByTrack.flatMap(({track, ranked}) => ranked.map((r, i) => [
+    runId, resultsMode(byId.get(r.id)), r.id, r.car, r.upgrade && r.upgrade !== "-" ? r.upgrade : "",
+    track["Track"], track["Track Type"], toInt(track["Total Laps"]),
+    r.effCP, r.effML, r.dnf ? "False" : "True", i + 1, r.points,
+  ]));
+  return toCSV(RESULTS_HEADERS, rows);
+}
+
+// ---------- Championship + ratings ----------
+// A championship chains seasons with the same seats; each finished season is
+// boiled down to seasonSummary() rows, and points/titles carry over by name.
+// rankSum adds up the driver's place on every track (DNFs included), as the
+// notebooks' per-track "Rank" does.
+function seasonSummary(season){
+  const rankSum = new Map();
+  for(const {ranked} of season.resultsByTrack) ranked.forEach((r, i) => rankSum.set(r.id, (rankSum.get(r.id) || 0) + i + 1));
+  return orderStandings(season.players).map((p, pos) => ({
+    name:p.name, isHuman:p.isHuman, strategy:p.strategy, car:p.car["Car"],
+    points:p.points, wins:p.wins, finishes:p.finishes, races:season.resultsByTrack.length, rankSum:rankSum.get(p.id) || 0, pos,
+  }));
+}
+function championshipStandings(summaries){
+  const byName = new Map();
+  for(const rows of summaries) for(const r of rows){
+    const t = byName.get(r.name) || { name:r.name, isHuman:r.isHuman, car:r.car, points:0, titles:0, wins:0, finishes:0, seasons:0 };
+    t.points += r.points; t.wins += r.wins; t.finishes += r.finishes; t.seasons += 1;
+    if(r.pos === 0) t.titles += 1;
+    byName.set(r.name, t);
+  }
+  return [...byName.values()].sort((a, b) => (b.points - a.points) || (b.titles - a.titles) || (b.wins - a.wins));
+}
+
+// ---------- Tournaments ----------
+// Any number of registered players race heats of up to rules.fieldSize seats
+// (bots fill the rest of each grid). The top half of each heat's players, in
+// orderStandings() order, go through to the next round (bots never do) until a
+// single heat is left: the final. The bracket's shape is fixed at the draw;
+// later rounds get their entrants as the round before them finishes.
+//   {schema, version, seed, rules, players,
+//    rounds:[{heats:[{size, advance, entrants:[name]|null, results:[row]|null}]}]}
+const TOURNAMENT_SCHEMA = "overdr1ve-tournament";
+const TOURNAMENT_TRACKS = 4; // a heat is a short season
+
+// n players over as few heats as fit, as even as possible (7/7/6, not 8/8/4)
+function heatSizes(n, seats){
+  const heats = Math.ceil(n / seats);
+  return Array.from({length:heats}, (_, i) => Math.floor(n / heats) + (i < n % heats ? 1 : 0));
+}
+// Round-robin, so heat sizes match heatSizes() and the heat winners are spread
+// over the next round's heats.
+function dealHeats(round, names){
+  round.heats.forEach(h => { h.entrants = []; });
+  names.forEach((name, i) => round.heats[i % round.heats.length].entrants.push(name));
+}
+function createTournament(names, {seed, rules, trackCount=TOURNAMENT_TRACKS}={}){
+  const seen = new Set(), players = [];
+  for(const raw of names){
+    const name = String(raw).trim();
+    if(!name || seen.has(norm(name))) continue;
+    seen.add(norm(name)); players.push(name);
+  }
+  if(players.length < 2) throw new Error("A tournament needs at least 2 players");
+  const heatRules = normalizeRules({ ...rules, trackCount });
+  if(heatRules.fieldSize < 2) throw new Error("Tournament heats need at least 2 seats");
+  const code = normalizeSeedCode(seed) || randomSeedCode();
+
+  const rounds = [];
+  for(let n = players.length; ;){
+    const sizes = heatSizes(n, heatRules.fieldSize);
+    const final = sizes.length === 1;
+    rounds.push({ heats: sizes.map(size => ({ size, advance: final ? 0 : Math.max(1, Math.floor(size / 2)), entrants:null, results:null })) });
+    if(final) break;
+    n = rounds[rounds.length - 1].heats.reduce((sum, h) => sum + h.advance, 0);
+  }
+  dealHeats(rounds[0], shuffle(players, createRng(`${code}/draw`)));
+  return { schema:TOURNAMENT_SCHEMA, version:1, seed:code, rules:heatRules, players, rounds };
+}
+
+// {round, heat} of the next heat to race, or null once the final is in.
+function nextHeat(tour){
+  for(let r = 0; r < tour.rounds.length; r++){
+    const heat = tour.rounds[r].heats.findIndex(h => !h.results);
+    if(heat >= 0) return { round:r, heat };
+  }
+  return null;
+}
+function lastHeat(tour){
+  let last = null;
+  tour.rounds.forEach((round, r) => round.heats.forEach((h, heat) => { if(h.results) last = { round:r, heat }; }));
+  return last;
+}
+function heatSeed(tour, {round, heat}){ return `${tour.seed}-R${round + 1}H${heat + 1}`; }
+// "heat" | "round" | "semi" | "final", for labelling a round
+function roundKind(tour, r){
+  const last = tour.rounds.length - 1;
+  if(r === last) return "final";
+  if(r === 0) return "heat";
+  return r === last - 1 ? "semi" : "round";
+}
+
+function heatQualifiers(heat, advance=heat.advance){
+  if(!heat.results) return [];
+  return heat.results.filter(r => r.isHuman).sort((a, b) => a.pos - b.pos).slice(0, advance).map(r => r.name);
+}
+// Every heat's winner first, then the runners-up, and so on.
+function roundQualifiers(round){
+  const lists = round.heats.map(h => heatQualifiers(h));
+  const out = [];
+  for(let place = 0; place < Math.max(...lists.map(l => l.length)); place++){
+    for(const list of lists) if(place < list.length) out.push(list[place]);
+  }
+  return out;
+}
+// Files a finished heat's seasonSummary() rows against nextHeat(); the round's
+// last heat deals the qualifiers into the next round.
+function recordHeat(tour, rows){
+  const at = nextHeat(tour);
+  if(!at) throw new Error("The tournament is already over");
+  const round = tour.rounds[at.round];
+  round.heats[at.heat].results = rows.map(({name, isHuman, car, points, wins, finishes, pos}) => ({ name, isHuman, car, points, wins, finishes, pos }));
+  const next = tour.rounds[at.round + 1];
+  if(next && round.heats.every(h => h.results)) dealHeats(next, roundQualifiers(round));
+  return at;
+}
+// Takes back the last recordHeat() (a heat's last track was undone).
+function unrecordHeat(tour){
+  const at = lastHeat(tour);
+  if(!at) return null;
+  tour.rounds[at.round].heats[at.heat].results = null;
+  tour.rounds[at.round + 1]?.heats.forEach(h => { h.entrants = null; });
+  return at;
+}
+function tournamentWinner(tour){
+  return heatQualifiers(tour.rounds[tour.rounds.length - 1].heats[0], 1)[0] || null;
+}
+
+// Multiplayer Elo over a season's final standings: every pair of drivers is
+// one game won by whoever finished ahead, K split over the n-1 opponents.
+// Humans are rated by name (case-insensitive); bots by strategy, so beating
+// Hard bots is worth more than beating Easy ones.
+const RATING_START = 1500;
+const RATING_K = 32;
+const RATINGS_SCHEMA = "overdr1ve-ratings";
+function emptyLeaderboard(){ return { schema:RATINGS_SCHEMA, version:1, players:{} }; }
+function ratingKey(r){ return r.isHuman ? `p:${norm(r.name)}` : `bot:${r.strategy || DEFAULT_STRATEGY}`; }
+function ratingName(r){ return r.isHuman ? r.name : `${STRATEGIES[r.strategy || DEFAULT_STRATEGY]?.name || r.strategy} bot`; }
+
+// Folds one seasonSummary() into the leaderboard (mutates it); returns the
+// rating change per entry as [{key, name, before, after}].
+function rateSeason(board, rows, when=new Date().toISOString()){
+  const entry = r => board.players[ratingKey(r)] ||= {
+    key:ratingKey(r), name:ratingName(r), isBot:!r.isHuman, rating:RATING_START, seasons:0, titles:0, byCar:{}, lastPlayed:null,
+  };
+  const seats = rows.map(r => ({ r, e:entry(r) }));
+  const before = new Map(seats.map(({e}) => [e.key, e.rating]));
+  const delta = new Map(), count = new Map();
+  const k = RATING_K / Math.max(1, rows.length - 1);
+  for(const a of seats){
+    let d = 0;
+    for(const b of seats){
+      if(a.e === b.e) continue;
+      const expected = 1 / (1 + 10 ** ((before.get(b.e.key) - before.get(a.e.key)) / 400));
+      d += k * ((a.r.pos < b.r.pos ? 1 : 0) - expected);
+    }
+    delta.set(a.e.key, (delta.get(a.e.key) || 0) + d);
+    count.set(a.e.key, (count.get(a.e.key) || 0) + 1);
+  }
+  for(const {r, e} of seats){
+    const c = e.byCar[r.car] ||= { seasons:0, points:0, wins:0, finishes:0, races:0 };
+    c.seasons += 1; c.points += r.points; c.wins += r.wins; c.finishes += r.finishes; c.races += r.races;
+    // per-track ranks; entries saved before these were kept start from here
+    c.trackRanks = (c.trackRanks || 0) + r.rankSum; c.rankedRaces = (c.rankedRaces || 0) + r.races;
+    if(r.pos === 0){ e.titles += 1; c.titles = (c.titles || 0) + 1; }
+    e.lastPlayed = when;
+  }
+  return [...before].map(([key, b]) => {
+    const e = board.players[key];
+    e.seasons += 1;
+    e.rating = Math.round((b + delta.get(key) / count.get(key)) * 10) / 10; // same-strategy bots share one mean change
+    return { key, name:e.name, before:b, after:e.rating };
+  });
+}
+
+// Leaderboard rows, best rating first. With `car`, stats cover that car only
+// (and only drivers who raced it); otherwise every car, shown as the most driven.
+// avgRank is the mean place per track.
+function leaderboardRows(board, {car=null, bots=true}={}){
+  return Object.values(board.players)
+    .filter(e => (bots || !e.isBot) && (!car || e.byCar[car]))
+    .map(e => {
+      const cars = car ? [car] : Object.keys(e.byCar);
+      const sum = k => cars.reduce((n, c) => n + (e.byCar[c][k] || 0), 0);
+      const races = sum("rankedRaces");
+      return {
+        name:e.name, isBot:e.isBot, rating:e.rating, seasons:sum("seasons"), titles: car ? sum("titles") : e.titles,
+        car: car || cars.reduce((a, c) => e.byCar[c].seasons > (e.byCar[a]?.seasons ?? -1) ? c : a, cars[0]),
+        points:sum("points"), avgRank: races ? Math.round(sum("trackRanks") / races * 100) / 100 : 0,
+        finishes:sum("finishes"), wins:sum("wins"), lastPlayed:e.lastPlayed,
+      };
+    })
+    .sort((a, b) => (b.rating - a.rating) || (b.titles - a.titles) || a.name.localeCompare(b.name));
+}
+// The columns of data_experiment/results_csv/overdr1ve_leaderboard.csv, in its
+// order and spelling, then rating, seasons and titles.
+function leaderboardToCSV(rows){
+  return toCSV(["Rank","Player ID","Car","Total Points","Avg Rank","Finishes","Wins","Rating","Seasons","Titles"],
+    rows.map((r, i) => [i+1, r.name, r.car, r.points, r.avgRank, r.finishes, r.wins, r.rating, r.seasons, r.titles]));
+}
+
+return {
+  DEFAULT_RULES, RULE_PRESETS, normalizeRules, presetRules,
+  parseCSV, splitCSVLine, toCSV, toInt, parseTrackBonus,
+  TRACK_TYPES, CARD_SCHEMA, validateCards, cardsToCSV,
+  CONDITION_KEYS, getUpgConditionRaw, norm, TYPE_ALIASES, tokens, conditionLabel, isUpgradeActiveOnTrack, typesMatch,
+  SEED_ALPHABET, randomSeedCode, normalizeSeedCode, hashSeed, createRng, shuffle, pickRandom,
+  loadCards, computeEffective, pickBestUpgradeGreedy, parseEffects, effectsOf, EFFECT_SCOPES,
+  handOf, unusedUpgrades, buildSeats, drawTracks, startSeason, currentTrack, isSeasonOver,
+  draftHandSize, createDraft, draftTurn, draftOptions, draftPick, decideDraftPick, runDraft,
+  SAVE_SCHEMA, SAVE_VERSION, serializeSeason, restoreSeason,
+  rankResults, pointsFor, orderStandings, standingsHistory, resolveTrack,
+  createRaceLog, raceLogTimeline, recordTrack, replayRaceLog, canUndo, canRedo,
+  STRATEGIES, DEFAULT_STRATEGY, registerStrategy, strategyLabel, decideBot,
+  POLICY_SCHEMA, loadPolicy, activePolicy, policyObservation, policyLogits,
+  decideGreedy, decideRandom, decidePlanner, decideBlocker, predictField, predictResult, planAhead, adviseUpgrades, playSeason,
+  createBalanceRun, stepBalanceRun, balanceSummary, balanceToCSV,
+  seasonResultsToCSV, seasonSummary, championshipStandings,
+  TOURNAMENT_SCHEMA, TOURNAMENT_TRACKS, createTournament, nextHeat, lastHeat, heatSeed, roundKind,
+  heatQualifiers, recordHeat, unrecordHeat, tournamentWinner,
+  RATING_START, RATING_K, RATINGS_SCHEMA, emptyLeaderboard, ratingKey, rateSeason, leaderboardRows, leaderboardToCSV,
+};
+});
@@ -0,0 +1,852 @@
+// Overdr1ve — message catalogs and the locale switcher (loaded before app.js)
+// t("key", {name}) reads the active locale and falls back to English. Static
+// markup carries data-i18n attributes (applyStaticText()). Card names, CSV
+// columns, effects and engine messages (card checks, tooltips) stay as written.
+// Track types are only translated for display; the engine keeps the English
+// values and also reads the translated words (TYPE_ALIASES in engine.js).
+const LOCALE_KEY = "overdr1ve.locale";
+
+const LOCALES = {
+  en: {
+    name: "English",
+    ordinal: n => {
+      const s = ["th","st","nd","rd"], v = n % 100;
+      return n + (s[(v - 20) % 10] || s[v] || s[0]);
+    },
+    messages: {
+      "app.title": "Overdr1ve – Prototype",
+      "app.brand": "Overdr1ve (Prototype)",
+      "app.footer": "🎮 This game is a work in progress by Luis Fraga (Abdiflame) — minimal digital proxy UI for testing & showcasing! 🚀",
+      "boot.loadFailed": "Failed to load CSVs. Ensure ./data_csv/cars.csv, ./data_csv/tracks.csv, ./data_csv/upgrades.csv exist (offline, the game must have been opened once over http first).",
+
+      "top.editor": "Card Editor",
+      "top.balance": "Balance Lab",
+      "top.leaderboard": "Leaderboard",
+      "top.presenter": "Presenter",
+      "top.presenterHint": "Open a second window for a projector or big screen: track, standings, podiums and the final charts",
+      "top.export": "Export Season",
+      "top.import": "Import Season",
+      "top.reset": "Reset",
+      "top.reduceMotion": "Reduce motion",
+      "top.language": "Language",
+      "common.done": "Done",
+      "common.close": "Close",
+      "common.exportCsv": "Export CSV",
+
+      "type.any": "Any",
+      "type.sunny": "Sunny",
+      "type.night": "Night",
+      "type.rainy": "Rainy",
+      "type.twisty": "Twisty",
+      "strategy.random": "Easy · Random",
+      "strategy.greedy": "Normal · Greedy",
+      "strategy.planner": "Hard · Planner",
+      "strategy.blocker": "Spoiler · Blocker",
+      "strategy.ppo": "Learned · PPO",
+      "preset.standard": "Standard (8 cars · 8 tracks)",
+      "preset.python10": "Python env points (10 slots)",
+      "preset.quick4": "Quick race (4 players)",
+      "preset.long12": "Long season (12 tracks)",
+      "preset.dnf1": "Consolation (1 pt per DNF)",
+      "preset.dealt5": "Dealt hands (5 upgrades)",
+      "preset.draft5": "Draft (cars + 5 upgrades)",
+      "bot.name": "Bot {n}",
+      "player.you": "{name} (You)",
+      "player.human": "Human",
+
+      "card.name": "Name",
+      "card.track": "Track",
+      "card.type": "Type",
+      "card.trackType": "Track Type",
+      "card.totalLaps": "Total Laps",
+      "card.bonus": "Bonus",
+      "card.typeBonus": "Type Bonus",
+      "card.effect": "Effect",
+      "card.corePower": "Core Power",
+      "card.maxLaps": "Max Laps",
+      "card.art": "{name} image",
+      "picker.cars": "Cars",
+      "picker.upgrades": "Upgrades",
+
+      "data.title": "Card data check:",
+      "data.error": "{n} error",
+      "data.errors": "{n} errors",
+      "data.warning": "{n} warning",
+      "data.warnings": "{n} warnings",
+      "data.severity": "Severity",
+      "data.file": "File",
+      "data.row": "Row",
+      "data.column": "Column",
+      "data.problem": "Problem",
+      "data.continue": "Continue anyway",
+      "data.missingArt": "Missing card art {path}",
+      "severity.error": "error",
+      "severity.warning": "warning",
+
+      "setup.resumeBtn": "Resume",
+      "setup.discard": "Discard",
+      "setup.nameTitle": "Enter Your Name",
+      "setup.namePlaceholder": "Player Name",
+      "setup.addPlayer": "Add Player",
+      "setup.soloHint": "Playing solo? Just type your name, pick a car and start.",
+      "setup.seed": "Seed code:",
+      "setup.seedPlaceholder": "blank = random",
+      "setup.seasons": "Seasons:",
+      "setup.rules": "Rules",
+      "setup.bots": "Bot difficulty",
+      "setup.carTitle": "Choose Your Car",
+      "setup.car": "Car:",
+      "setup.defaultName": "You",
+      "setup.playerN": "Player {n}",
+      "setup.gridFull": "The grid is full.",
+      "setup.carTaken": "{car} is already taken by {name}.",
+      "setup.nameTaken": "\"{name}\" is already in.",
+      "setup.takenBy": "Taken by {name}",
+      "setup.remove": "Remove",
+      "setup.tooMany": "This ruleset seats {seats} — remove {n} player(s).",
+      "setup.start": "Start Race ({tracks} Tracks)",
+      "setup.startPlayers": "Start Race ({n} players, {tracks} tracks)",
+      "rules.preset": "Preset",
+      "rules.fieldSize": "Cars on the grid",
+      "rules.trackCount": "Tracks per season",
+      "rules.points": "Points (1st, 2nd, …)",
+      "rules.dnfPoints": "Points per DNF",
+      "rules.hand": "Upgrade hand",
+      "rules.handAll": "all",
+      "rules.draft": "Draft cars and upgrades",
+      "rules.draftTitle": "Setup car choices are ignored: cars and upgrade hands are drafted once the tracks are revealed",
+      "rules.custom": "Custom",
+
+      "save.resume": "Season in progress: {humans} — {where}, seed {seed}",
+      "save.drafting": "drafting",
+      "save.track": "track {n}/{of}",
+      "save.championship": ", championship season {n}/{of}.",
+      "save.tournament": ", tournament of {n} players.",
+      "save.importFailed": "Could not import {file}:",
+      "save.resumeFailed": "Could not resume the saved season:",
+
+      "race.seed": "Seed:",
+      "race.copySeed": "Copy seed",
+      "race.currentTrack": "Current Track",
+      "race.yourCar": "Your Car",
+      "race.theirCar": "{name}'s Car",
+      "race.pickTitle": "Pick Upgrade For This Track",
+      "race.pickTitleTurn": "{name} — Pick Upgrade For This Track ({turn}/{of})",
+      "race.autoPick": "Auto-pick best for this track",
+      "race.autoPickShort": "Auto-pick",
+      "race.greedy": "Pick Best For Me",
+      "race.simulate": "Simulate This Track",
+      "race.lockIn": "Lock In Pick",
+      "race.lockInPass": "Lock In & Pass",
+      "race.simulateAll": "Simulate All {n} Tracks",
+      "race.simulateAllHotSeat": "Every driver picks in secret, so hot-seat races go one track at a time.",
+      "race.noUpgrade": "(No upgrade)",
+      "race.inPlay": "In play:",
+      "race.moreTrack": "{n} more track",
+      "race.moreTracks": "{n} more tracks",
+      "race.shield": "shield",
+      "race.whatif": "What-if: every option on this track",
+      "race.whatifHint": "Projected against the rivals' best picks for this track. <em>Cost later</em> is the points the card would still earn on the remaining tracks; <em>Season pts</em> is this track plus the best rest of season. ★ = the pick that scores most over the season.",
+      "race.tip": "Tip: Conditions come from <em>Track Type Condition</em> (or <em>Condition</em>) in <code>upgrades.csv</code>. Only active upgrades apply. Keys: arrows move between upgrades, <kbd>S</kbd> simulates (or locks in), <kbd>G</kbd> picks the best.",
+      "race.trackResults": "Track Results",
+      "race.completedTracks": "Completed tracks",
+      "race.standings": "Championship Standings (After Each Track)",
+      "race.points": "Points Progression",
+      "handoff.text": "Pass the device to {name}. Other drivers, look away!",
+      "handoff.upgrades": "I'm {name} — show my upgrades",
+      "handoff.hand": "I'm {name} — show my hand",
+
+      "advice.points": "{n} pts",
+      "advice.later": "−{n} later",
+      "advice.projected": "projected {note}",
+      "advice.best": "best over the season",
+      "advice.finishes": "Finishes",
+      "advice.noEffect": "no effect here",
+      "advice.option": "Option",
+      "advice.projectedCol": "Projected",
+      "advice.costLater": "Cost later",
+      "advice.seasonPts": "Season pts",
+
+      "result.pos": "Pos",
+      "result.player": "Player",
+      "result.car": "Car",
+      "result.effCP": "Eff. CP",
+      "result.effML": "Eff. ML",
+      "result.status": "Status",
+      "result.upgrade": "Upgrade",
+      "result.condition": "Condition",
+      "result.upgOK": "Upg OK?",
+      "result.points": "Points",
+      "result.dnf": "DNF",
+      "result.finished": "Finished",
+      "result.shield": "{name} shield",
+      "result.condActive": "Condition active",
+      "result.condInactive": "Condition NOT active",
+      "result.track": "Track:",
+      "result.laps": "Laps",
+      "result.hazard": "Hazard",
+      "mod.base": "Base",
+      "mod.trackBonus": "Track bonus",
+      "mod.hazard": "{name} hazard",
+      "mod.inPlay": "{name} (in play)",
+      "mod.flat": "{stat} = Base {base} + Track {track} + Upgrade {upgrade}",
+      "mod.shield": "{name} shield: DNF ignored",
+
+      "standings.rank": "Rank",
+      "standings.wins": "Wins",
+      "standings.finishes": "Finishes",
+      "standings.strategy": "Strategy",
+      "standings.up": "Up {n} since the previous track",
+      "standings.down": "Down {n} since the previous track",
+      "standings.same": "No change",
+      "standings.replay": "Replay standings",
+      "standings.stop": "Stop replay",
+      "standings.after": "After track {n}/{total}: {track}",
+      "raceview.label": "The race on {track}: each car's progress over the laps",
+      "raceview.lap": "Lap {n}/{of}",
+      "raceview.finished": "Chequered flag",
+      "raceview.speed": "Speed",
+      "raceview.skip": "Skip to the result",
+      "present.title": "Overdr1ve",
+      "present.waiting": "Waiting for the race to start…",
+      "present.track": "Track {n}/{of} · Seed {seed}",
+      "present.over": "Final results · Seed {seed}",
+      "present.podium": "Podium — track {n}, {track}",
+      "log.title": "Race Log",
+      "log.undo": "Undo track",
+      "log.redo": "Redo track",
+      "log.hint": "Undo takes the last track back; “Try again from here” reopens an earlier track to play a different upgrade. Playing a track after an undo starts a new branch, and the undone tracks can't be redone.",
+      "log.empty": "No tracks resolved yet.",
+      "log.track": "Track {n} · {track}",
+      "log.played": "{name}: {upgrade}",
+      "log.undone": "(undone)",
+      "log.undid": "Undo: {tracks}",
+      "log.redid": "Redo: {tracks}",
+      "log.rewound": "Back to track {n}: {tracks} undone",
+      "log.retry": "Try again from here",
+      "log.retryTrack": "Try track {n} ({track}) again",
+      "log.failed": "The race log couldn't be replayed; the season is unchanged.",
+      "chart.start": "Start",
+      "chart.empty": "No tracks raced yet.",
+      "chart.label": "Points after each track for {n} players",
+
+      "announce.you": "You",
+      "announce.dnf": "{name} did not finish.",
+      "announce.finished": "{name} finished {pos}, {points} points.",
+      "announce.nobody": "nobody finished",
+      "announce.seasonOver": "Season over.",
+      "announce.winner": "{name} wins with {points} points.",
+      "announce.final": "{name} finished {pos}.",
+
+      "modal.title": "🏁🎉 Congratulations, Race is finished!",
+      "modal.finishRate": "Finish Rate per Player",
+      "modal.avgCP": "Average Effective CP by Player",
+      "modal.next": "Next Season",
+      "champ.final": "Championship final — {n} seasons",
+      "champ.after": "Championship after season {n} of {of}",
+      "champ.titles": "Titles",
+      "champ.winner": "{name} wins the championship!",
+      "champ.ratings": "Ratings:",
+      "tour.title": "Tournament (heats and a final)",
+      "tour.names": "Players, one per line",
+      "tour.tracks": "Tracks per heat",
+      "tour.hint": "Uses the rules above for grid size and points; bots fill the empty seats.",
+      "tour.start": "Start tournament",
+      "tour.plan": "{n} players: {rounds}",
+      "tour.needTwo": "Enter at least 2 players, one per line.",
+      "tour.needSeats": "Heats need at least 2 cars on the grid (Rules).",
+      "tour.bracket": "Tournament Bracket",
+      "tour.heat": "Heat {n}",
+      "tour.heats": "Heats",
+      "tour.round": "Round {r} · heat {n}",
+      "tour.rounds": "Round {r}",
+      "tour.semi": "Semi-final {n}",
+      "tour.semis": "Semi-finals",
+      "tour.final": "Final",
+      "tour.finals": "Final",
+      "tour.advance": "top {n} go through",
+      "tour.tbd": "To be decided",
+      "tour.nowRacing": "Now racing: {heat}",
+      "tour.upNext": "Up next: {heat}",
+      "tour.next": "Start {heat}",
+      "tour.winner": "{name} wins the tournament!",
+      "report.export": "Export report",
+      "report.csv": "Results CSV",
+      "report.title": "Overdr1ve season report — seed {seed}",
+      "report.championship": "Championship season {n} of {of}",
+      "report.generated": "Generated {date}",
+      "report.print": "Print / save as PDF",
+      "report.rules": "Rules",
+      "report.grid": "Grid",
+      "report.hand": "Hand",
+      "report.final": "Final standings",
+      "report.charts": "Charts",
+      "report.tracks": "Track results",
+      "report.track": "{n}. {track}",
+
+      "leaderboard.car": "Car",
+      "leaderboard.showBots": "Show bots",
+      "leaderboard.clear": "Clear",
+      "leaderboard.hint": "Elo ratings from every finished season on this device (start 1500). Named drivers keep their rating across sessions; bots are rated per strategy.",
+      "leaderboard.empty": "No finished seasons yet — ratings appear here after your first season.",
+      "leaderboard.allCars": "All cars",
+      "leaderboard.rating": "Rating",
+      "leaderboard.seasons": "Seasons",
+      "leaderboard.avgRank": "Avg Rank",
+      "leaderboard.confirmClear": "Forget every rating on this device?",
+
+      "draft.heading": "Draft",
+      "draft.title": "Draft — pick {n} of {of}",
+      "draft.car": "{name}: choose your car",
+      "draft.upgrade": "{name}: draft upgrade {n} of {of}",
+      "draft.suggested": "a bot would draft this",
+      "draft.cars": "Cars to draft",
+      "draft.upgrades": "Upgrades to draft",
+      "draft.yourHand": "Your car: {car} · hand: {hand}",
+      "draft.theirHand": "{name}'s car: {car} · hand: {hand}",
+      "draft.empty": "empty",
+      "draft.roundCars": "Cars",
+      "draft.round": "Upgrades · round {n}",
+      "draft.laps": "{n} laps",
+      "draft.order": "Order",
+      "draft.driver": "Driver",
+      "draft.upgradesCol": "Upgrades",
+
+      "editor.reload": "Reload CSVs",
+      "editor.export": "Export CSVs",
+      "editor.hint": "Changes apply to the next race straight away. Export writes <code>cars.csv</code>, <code>tracks.csv</code> and <code>upgrades.csv</code> for <code>data_csv/</code>.",
+      "editor.cars": "Cars",
+      "editor.tracks": "Tracks",
+      "editor.upgrades": "Upgrades",
+      "editor.addCar": "Add car",
+      "editor.addTrack": "Add track",
+      "editor.addUpgrade": "Add upgrade",
+      "editor.clone": "Clone",
+      "editor.delete": "Delete",
+      "editor.none": "(none)",
+      "editor.amount": "{field} amount",
+      "editor.stat": "{field} stat",
+      "editor.effectPlaceholder": "e.g. cp+10%; persist:2",
+      "editor.noProblems": "No problems found",
+      "editor.reloadFailed": "Could not reload the CSVs:",
+
+      "balance.seasons": "Seasons",
+      "balance.bots": "Bots",
+      "balance.seed": "Seed",
+      "balance.run": "Run",
+      "balance.cancel": "Cancel",
+      "balance.cancelled": "Cancelled.",
+      "balance.failed": "The run stopped with an error: {message}",
+      "balance.failedUnknown": "unknown error",
+      "balance.progress": "{done} / {seasons} seasons",
+      "balance.done": "{seasons} seasons · {bots} bots · seed {seed} · {secs}s",
+      "balance.rules": "Setup rules: {cars} of {of} cars per season ({grid}), {tracks} tracks, points {points}, {dnf} per DNF, {hand}",
+      "balance.drafted": "drafted by the bots",
+      "balance.randomGrid": "random grid",
+      "balance.handDrafted": "{n} upgrades drafted.",
+      "balance.fullDeck": "full upgrade deck.",
+      "balance.handDealt": "{n} upgrades dealt.",
+      "balance.winRate": "Win Rate per Car",
+      "balance.avgPoints": "Average Points per Season",
+      "balance.trackDnf": "DNF Rate per Track",
+      "balance.pickRate": "Upgrade Pick Rate",
+
+      "online.title": "Online race (phones)",
+      "online.server": "Server",
+      "online.create": "Create room",
+      "online.roomCode": "Room code",
+      "online.join": "Join",
+      "online.hint": "Uses your name above. Create uses this screen's cards, rules and seed.",
+      "online.room": "Room",
+      "online.yourCar": "Your car",
+      "online.start": "Start online race",
+      "online.leave": "Leave",
+      "online.unreachable": "Can't reach {url}: {error}",
+      "online.connecting": "Connecting to {url}…",
+      "online.takenOver": "This seat is now open in another window.",
+      "online.noServer": "No server at {url}.",
+      "online.reconnecting": "Connection lost — reconnecting in {secs}s…",
+      "online.notSent": "Not connected — your last action wasn't sent.",
+      "online.inRoom": "In room {room}.",
+      "online.noCar": "no car yet",
+      "online.host": "{name} (host)",
+      "online.offline": "offline",
+      "online.chooseCar": "Choose your car…",
+      "online.lobby": "{n}/{grid} drivers · bots fill the other seats · {tracks} tracks.",
+      "online.startWhenReady": "Start when everyone is in.",
+      "online.waitHost": "Waiting for the host to start.",
+      "online.botDriving": "bot driving",
+      "online.reconnectingShort": "reconnecting",
+      "online.roomN": "Room {room}",
+      "online.over": "Season over",
+      "online.waitingFor": "Waiting for {names}",
+      "online.resolving": "Resolving…",
+      "online.yourPick": "Your pick",
+      "online.away": "Away: {names}",
+      "online.locked": "Locked in — waiting for the others",
+      "online.needName": "Enter your name first.",
+      "online.needRoom": "Enter your name and the room code.",
+    },
+  },
+
+  pt: {
+    name: "Português",
+    ordinal: n => `${n}.º`,
+    messages: {
+      "app.title": "Overdr1ve – Protótipo",
+      "app.brand": "Overdr1ve (Protótipo)",
+      "app.footer": "🎮 Este jogo está em desenvolvimento por Luis Fraga (Abdiflame) — interface digital mínima para testes e demonstrações! 🚀",
+      "boot.loadFailed": "Não foi possível carregar os CSV. Confirme que ./data_csv/cars.csv, ./data_csv/tracks.csv e ./data_csv/upgrades.csv existem (sem rede, o jogo tem de ter sido aberto uma vez por http).",
+
+      "top.editor": "Editor de cartas",
+      "top.balance": "Laboratório de equilíbrio",
+      "top.leaderboard": "Classificação",
+      "top.presenter": "Apresentação",
+      "top.presenterHint": "Abrir uma segunda janela para um projetor ou ecrã grande: pista, classificação, pódios e os gráficos finais",
+      "top.export": "Exportar época",
+      "top.import": "Importar época",
+      "top.reset": "Recomeçar",
+      "top.reduceMotion": "Reduzir animações",
+      "top.language": "Idioma",
+      "common.done": "Concluir",
+      "common.close": "Fechar",
+      "common.exportCsv": "Exportar CSV",
+
+      "type.any": "Qualquer",
+      "type.sunny": "Ensolarado",
+      "type.night": "Noite",
+      "type.rainy": "Chuvoso",
+      "type.twisty": "Sinuoso",
+      "strategy.random": "Fácil · Aleatório",
+      "strategy.greedy": "Normal · Guloso",
+      "strategy.planner": "Difícil · Planeador",
+      "strategy.blocker": "Desmancha-prazeres · Bloqueador",
+      "strategy.ppo": "Aprendido · PPO",
+      "preset.standard": "Padrão (8 carros · 8 pistas)",
+      "preset.python10": "Pontos do ambiente Python (10 lugares)",
+      "preset.quick4": "Corrida rápida (4 jogadores)",
+      "preset.long12": "Época longa (12 pistas)",
+      "preset.dnf1": "Consolação (1 pt por abandono)",
+      "preset.dealt5": "Mãos distribuídas (5 melhorias)",
+      "preset.draft5": "Draft (carros + 5 melhorias)",
+      "bot.name": "Bot {n}",
+      "player.you": "{name} (Tu)",
+      "player.human": "Humano",
+
+      "card.name": "Nome",
+      "card.track": "Pista",
+      "card.type": "Tipo",
+      "card.trackType": "Tipo de pista",
+      "card.totalLaps": "Total de voltas",
+      "card.bonus": "Bónus",
+      "card.typeBonus": "Bónus de tipo",
+      "card.effect": "Efeito",
+      "card.corePower": "Potência",
+      "card.maxLaps": "Voltas máx.",
+      "card.art": "Imagem de {name}",
+      "picker.cars": "Carros",
+      "picker.upgrades": "Melhorias",
+
+      "data.title": "Verificação das cartas:",
+      "data.error": "{n} erro",
+      "data.errors": "{n} erros",
+      "data.warning": "{n} aviso",
+      "data.warnings": "{n} avisos",
+      "data.severity": "Gravidade",
+      "data.file": "Ficheiro",
+      "data.row": "Linha",
+      "data.column": "Coluna",
+      "data.problem": "Problema",
+      "data.continue": "Continuar mesmo assim",
+      "data.missingArt": "Falta a imagem da carta {path}",
+      "severity.error": "erro",
+      "severity.warning": "aviso",
+
+      "setup.resumeBtn": "Retomar",
+      "setup.discard": "Descartar",
+      "setup.nameTitle": "Escreve o teu nome",
+      "setup.namePlaceholder": "Nome do jogador",
+      "setup.addPlayer": "Adicionar jogador",
+      "setup.soloHint": "A jogar sozinho? Escreve o teu nome, escolhe um carro e começa.",
+      "setup.seed": "Código da semente:",
+      "setup.seedPlaceholder": "vazio = aleatório",
+      "setup.seasons": "Épocas:",
+      "setup.rules": "Regras",
+      "setup.bots": "Dificuldade dos bots",
+      "setup.carTitle": "Escolhe o teu carro",
+      "setup.car": "Carro:",
+      "setup.defaultName": "Tu",
+      "setup.playerN": "Jogador {n}",
+      "setup.gridFull": "A grelha está cheia.",
+      "setup.carTaken": "O {car} já é de {name}.",
+      "setup.nameTaken": "\"{name}\" já está inscrito.",
+      "setup.takenBy": "Escolhido por {name}",
+      "setup.remove": "Remover",
+      "setup.tooMany": "Estas regras têm {seats} lugares — remove {n} jogador(es).",
+      "setup.start": "Começar corrida ({tracks} pistas)",
+      "setup.startPlayers": "Começar corrida ({n} jogadores, {tracks} pistas)",
+      "rules.preset": "Predefinição",
+      "rules.fieldSize": "Carros na grelha",
+      "rules.trackCount": "Pistas por época",
+      "rules.points": "Pontos (1.º, 2.º, …)",
+      "rules.dnfPoints": "Pontos por abandono",
+      "rules.hand": "Mão de melhorias",
+      "rules.handAll": "todas",
+      "rules.draft": "Draft de carros e melhorias",
+      "rules.draftTitle": "Os carros escolhidos aqui são ignorados: carros e mãos de melhorias são escolhidos em draft depois de reveladas as pistas",
+      "rules.custom": "Personalizado",
+
+      "save.resume": "Época em curso: {humans} — {where}, semente {seed}",
+      "save.drafting": "em draft",
+      "save.track": "pista {n}/{of}",
+      "save.championship": ", época {n}/{of} do campeonato.",
+      "save.tournament": ", torneio de {n} jogadores.",
+      "save.importFailed": "Não foi possível importar {file}:",
+      "save.resumeFailed": "Não foi possível retomar a época guardada:",
+
+      "race.seed": "Semente:",
+      "race.copySeed": "Copiar semente",
+      "race.currentTrack": "Pista atual",
+      "race.yourCar": "O teu carro",
+      "race.theirCar": "Carro de {name}",
+      "race.pickTitle": "Escolhe a melhoria para esta pista",
+      "race.pickTitleTurn": "{name} — Escolhe a melhoria para esta pista ({turn}/{of})",
+      "race.autoPick": "Escolher automaticamente a melhor para esta pista",
+      "race.autoPickShort": "Automático",
+      "race.greedy": "Escolher a melhor por mim",
+      "race.simulate": "Simular esta pista",
+      "race.lockIn": "Confirmar escolha",
+      "race.lockInPass": "Confirmar e passar",
+      "race.simulateAll": "Simular as {n} pistas",
+      "race.simulateAllHotSeat": "Cada piloto escolhe em segredo, por isso as corridas em hot-seat avançam uma pista de cada vez.",
+      "race.noUpgrade": "(Sem melhoria)",
+      "race.inPlay": "Em jogo:",
+      "race.moreTrack": "mais {n} pista",
+      "race.moreTracks": "mais {n} pistas",
+      "race.shield": "escudo",
+      "race.whatif": "E se: todas as opções nesta pista",
+      "race.whatifHint": "Previsão contra as melhores escolhas dos rivais nesta pista. <em>Custo depois</em> são os pontos que a carta ainda daria nas pistas seguintes; <em>Pts na época</em> é esta pista mais o melhor resto da época. ★ = a escolha que mais pontua na época.",
+      "race.tip": "Dica: as condições vêm de <em>Track Type Condition</em> (ou <em>Condition</em>) em <code>upgrades.csv</code>. Só as melhorias ativas contam. Teclas: as setas percorrem as melhorias, <kbd>S</kbd> simula (ou confirma), <kbd>G</kbd> escolhe a melhor.",
+      "race.trackResults": "Resultados das pistas",
+      "race.completedTracks": "Pistas concluídas",
+      "race.standings": "Classificação do campeonato (após cada pista)",
+      "race.points": "Evolução dos pontos",
+      "handoff.text": "Passa o dispositivo a {name}. Os outros pilotos não espreitam!",
+      "handoff.upgrades": "Sou {name} — mostrar as minhas melhorias",
+      "handoff.hand": "Sou {name} — mostrar a minha mão",
+
+      "advice.points": "{n} pts",
+      "advice.later": "−{n} depois",
+      "advice.projected": "previsão {note}",
+      "advice.best": "a melhor na época",
+      "advice.finishes": "Termina",
+      "advice.noEffect": "sem efeito aqui",
+      "advice.option": "Opção",
+      "advice.projectedCol": "Previsão",
+      "advice.costLater": "Custo depois",
+      "advice.seasonPts": "Pts na época",
+
+      "result.pos": "Pos.",
+      "result.player": "Jogador",
+      "result.car": "Carro",
+      "result.effCP": "CP efet.",
+      "result.effML": "ML efet.",
+      "result.status": "Estado",
+      "result.upgrade": "Melhoria",
+      "result.condition": "Condição",
+      "result.upgOK": "Melh. OK?",
+      "result.points": "Pontos",
+      "result.dnf": "Abandono",
+      "result.finished": "Terminou",
+      "result.shield": "escudo {name}",
+      "result.condActive": "Condição ativa",
+      "result.condInactive": "Condição NÃO ativa",
+      "result.track": "Pista:",
+      "result.laps": "Voltas",
+      "result.hazard": "Perigo",
+      "mod.base": "Base",
+      "mod.trackBonus": "Bónus da pista",
+      "mod.hazard": "perigo de {name}",
+      "mod.inPlay": "{name} (em jogo)",
+      "mod.flat": "{stat} = Base {base} + Pista {track} + Melhoria {upgrade}",
+      "mod.shield": "escudo {name}: DNF ignorado",
+
+      "standings.rank": "Lugar",
+      "standings.wins": "Vitórias",
+      "standings.finishes": "Chegadas",
+      "standings.strategy": "Estratégia",
+      "standings.up": "Subiu {n} desde a pista anterior",
+      "standings.down": "Desceu {n} desde a pista anterior",
+      "standings.same": "Sem alteração",
+      "standings.replay": "Rever classificação",
+      "standings.stop": "Parar",
+      "standings.after": "Após a pista {n}/{total}: {track}",
+      "raceview.label": "A corrida em {track}: o progresso de cada carro ao longo das voltas",
+      "raceview.lap": "Volta {n}/{of}",
+      "raceview.finished": "Bandeira de xadrez",
+      "raceview.speed": "Velocidade",
+      "raceview.skip": "Saltar para o resultado",
+      "present.title": "Overdr1ve",
+      "present.waiting": "À espera do início da corrida…",
+      "present.track": "Pista {n}/{of} · Semente {seed}",
+      "present.over": "Resultados finais · Semente {seed}",
+      "present.podium": "Pódio — pista {n}, {track}",
+      "log.title": "Registo da corrida",
+      "log.undo": "Desfazer pista",
+      "log.redo": "Refazer pista",
+      "log.hint": "Desfazer anula a última pista; “Tentar de novo daqui” reabre uma pista anterior para jogar outra melhoria. Correr uma pista depois de desfazer abre um novo ramo, e as pistas desfeitas deixam de poder ser refeitas.",
+      "log.empty": "Ainda não se resolveu nenhuma pista.",
+      "log.track": "Pista {n} · {track}",
+      "log.played": "{name}: {upgrade}",
+      "log.undone": "(desfeita)",
+      "log.undid": "Desfazer: {tracks}",
+      "log.redid": "Refazer: {tracks}",
+      "log.rewound": "De volta à pista {n}: {tracks} desfeitas",
+      "log.retry": "Tentar de novo daqui",
+      "log.retryTrack": "Tentar de novo a pista {n} ({track})",
+      "log.failed": "Não foi possível reconstruir o registo da corrida; a época ficou como estava.",
+      "chart.start": "Início",
+      "chart.empty": "Ainda não se correu nenhuma pista.",
+      "chart.label": "Pontos após cada pista para {n} jogadores",
+
+      "announce.you": "O teu carro",
+      "announce.dnf": "{name} não terminou.",
+      "announce.finished": "{name} terminou em {pos}, {points} pontos.",
+      "announce.nobody": "ninguém terminou",
+      "announce.seasonOver": "Fim da época.",
+      "announce.winner": "{name} ganha com {points} pontos.",
+      "announce.final": "{name} terminou em {pos}.",
+
+      "modal.title": "🏁🎉 Parabéns, a corrida terminou!",
+      "modal.finishRate": "Taxa de chegada por jogador",
+      "modal.avgCP": "CP efetivo médio por jogador",
+      "modal.next": "Época seguinte",
+      "champ.final": "Final do campeonato — {n} épocas",
+      "champ.after": "Campeonato após a época {n} de {of}",
+      "champ.titles": "Títulos",
+      "champ.winner": "{name} ganha o campeonato!",
+      "champ.ratings": "Ratings:",
+      "tour.title": "Torneio (eliminatórias e final)",
+      "tour.names": "Jogadores, um por linha",
+      "tour.tracks": "Pistas por eliminatória",
+      "tour.hint": "Usa as regras acima para o tamanho da grelha e os pontos; bots ocupam os lugares vazios.",
+      "tour.start": "Iniciar torneio",
+      "tour.plan": "{n} jogadores: {rounds}",
+      "tour.needTwo": "Escreve pelo menos 2 jogadores, um por linha.",
+      "tour.needSeats": "As eliminatórias precisam de pelo menos 2 carros na grelha (Regras).",
+      "tour.bracket": "Quadro do Torneio",
+      "tour.heat": "Eliminatória {n}",
+      "tour.heats": "Eliminatórias",
+      "tour.round": "Ronda {r} · eliminatória {n}",
+      "tour.rounds": "Ronda {r}",
+      "tour.semi": "Meia-final {n}",
+      "tour.semis": "Meias-finais",
+      "tour.final": "Final",
+      "tour.finals": "Final",
+      "tour.advance": "passam os {n} primeiros",
+      "tour.tbd": "Por decidir",
+      "tour.nowRacing": "A correr: {heat}",
+      "tour.upNext": "A seguir: {heat}",
+      "tour.next": "Iniciar {heat}",
+      "tour.winner": "{name} vence o torneio!",
+      "report.export": "Exportar relatório",
+      "report.csv": "CSV dos resultados",
+      "report.title": "Relatório da época Overdr1ve — semente {seed}",
+      "report.championship": "Época {n} de {of} do campeonato",
+      "report.generated": "Gerado em {date}",
+      "report.print": "Imprimir / guardar como PDF",
+      "report.rules": "Regras",
+      "report.grid": "Grelha",
+      "report.hand": "Mão",
+      "report.final": "Classificação final",
+      "report.charts": "Gráficos",
+      "report.tracks": "Resultados das pistas",
+      "report.track": "{n}. {track}",
+
+      "leaderboard.car": "Carro",
+      "leaderboard.showBots": "Mostrar bots",
+      "leaderboard.clear": "Limpar",
+      "leaderboard.hint": "Ratings Elo de todas as épocas terminadas neste dispositivo (início 1500). Os pilotos com nome mantêm o rating entre sessões; os bots têm rating por estratégia.",
+      "leaderboard.empty": "Ainda não há épocas terminadas — os ratings aparecem aqui depois da primeira.",
+      "leaderboard.allCars": "Todos os carros",
+      "leaderboard.rating": "Rating",
+      "leaderboard.seasons": "Épocas",
+      "leaderboard.avgRank": "Lugar médio",
+      "leaderboard.confirmClear": "Esquecer todos os ratings deste dispositivo?",
+
+      "draft.heading": "Draft",
+      "draft.title": "Draft — escolha {n} de {of}",
+      "draft.car": "{name}: escolhe o teu carro",
+      "draft.upgrade": "{name}: escolhe a melhoria {n} de {of}",
+      "draft.suggested": "um bot escolheria esta",
+      "draft.cars": "Carros para escolher",
+      "draft.upgrades": "Melhorias para escolher",
+      "draft.yourHand": "O teu carro: {car} · mão: {hand}",
+      "draft.theirHand": "Carro de {name}: {car} · mão: {hand}",
+      "draft.empty": "vazia",
+      "draft.roundCars": "Carros",
+      "draft.round": "Melhorias · ronda {n}",
+      "draft.laps": "{n} voltas",
+      "draft.order": "Ordem",
+      "draft.driver": "Piloto",
+      "draft.upgradesCol": "Melhorias",
+
+      "editor.reload": "Recarregar CSV",
+      "editor.export": "Exportar CSV",
+      "editor.hint": "As alterações aplicam-se logo à próxima corrida. Exportar gera <code>cars.csv</code>, <code>tracks.csv</code> e <code>upgrades.csv</code> para <code>data_csv/</code>.",
+      "editor.cars": "Carros",
+      "editor.tracks": "Pistas",
+      "editor.upgrades": "Melhorias",
+      "editor.addCar": "Adicionar carro",
+      "editor.addTrack": "Adicionar pista",
+      "editor.addUpgrade": "Adicionar melhoria",
+      "editor.clone": "Duplicar",
+      "editor.delete": "Apagar",
+      "editor.amount": "{field}: valor",
+      "editor.stat": "{field}: atributo",
+      "editor.none": "(nenhum)",
+      "editor.effectPlaceholder": "p. ex. cp+10%; persist:2",
+      "editor.noProblems": "Nenhum problema encontrado",
+      "editor.reloadFailed": "Não foi possível recarregar os CSV:",
+
+      "balance.seasons": "Épocas",
+      "balance.bots": "Bots",
+      "balance.seed": "Semente",
+      "balance.run": "Correr",
+      "balance.cancel": "Cancelar",
+      "balance.cancelled": "Cancelado.",
+      "balance.failed": "A simulação parou com um erro: {message}",
+      "balance.failedUnknown": "erro desconhecido",
+      "balance.progress": "{done} / {seasons} épocas",
+      "balance.done": "{seasons} épocas · bots {bots} · semente {seed} · {secs}s",
+      "balance.rules": "Regras: {cars} de {of} carros por época ({grid}), {tracks} pistas, pontos {points}, {dnf} por abandono, {hand}",
+      "balance.drafted": "escolhidos pelos bots em draft",
+      "balance.randomGrid": "grelha aleatória",
+      "balance.handDrafted": "{n} melhorias em draft.",
+      "balance.fullDeck": "baralho de melhorias completo.",
+      "balance.handDealt": "{n} melhorias distribuídas.",
+      "balance.winRate": "Taxa de vitórias por carro",
+      "balance.avgPoints": "Pontos médios por época",
+      "balance.trackDnf": "Taxa de abandono por pista",
+      "balance.pickRate": "Taxa de escolha das melhorias",
+
+      "online.title": "Corrida online (telemóveis)",
+      "online.server": "Servidor",
+      "online.create": "Criar sala",
+      "online.roomCode": "Código da sala",
+      "online.join": "Entrar",
+      "online.hint": "Usa o teu nome acima. Criar usa as cartas, regras e semente deste ecrã.",
+      "online.room": "Sala",
+      "online.yourCar": "O teu carro",
+      "online.start": "Começar corrida online",
+      "online.leave": "Sair",
+      "online.unreachable": "Não foi possível ligar a {url}: {error}",
+      "online.connecting": "A ligar a {url}…",
+      "online.takenOver": "Este lugar está agora aberto noutra janela.",
+      "online.noServer": "Não há servidor em {url}.",
+      "online.reconnecting": "Ligação perdida — a religar dentro de {secs}s…",
+      "online.notSent": "Sem ligação — a tua última ação não foi enviada.",
+      "online.inRoom": "Na sala {room}.",
+      "online.noCar": "ainda sem carro",
+      "online.host": "{name} (anfitrião)",
+      "online.offline": "desligado",
+      "online.chooseCar": "Escolhe o teu carro…",
+      "online.lobby": "{n}/{grid} pilotos · os bots ocupam os outros lugares · {tracks} pistas.",
+      "online.startWhenReady": "Começa quando todos tiverem entrado.",
+      "online.waitHost": "À espera que o anfitrião comece.",
+      "online.botDriving": "conduzido por um bot",
+      "online.reconnectingShort": "a religar",
+      "online.roomN": "Sala {room}",
+      "online.over": "Fim da época",
+      "online.waitingFor": "À espera de {names}",
+      "online.resolving": "A resolver…",
+      "online.yourPick": "A tua escolha",
+      "online.away": "Ausentes: {names}",
+      "online.locked": "Escolha confirmada — à espera dos outros",
+      "online.needName": "Escreve primeiro o teu nome.",
+      "online.needRoom": "Escreve o teu nome e o código da sala.",
+    },
+  },
+};
+
+function savedLocale(){
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch (e) { /* storage unavailable */ }
+  const wanted = (navigator.languages || [navigator.language || ""]).map(l => String(l).slice(0, 2).toLowerCase());
+  return wanted.find(l => LOCALES[l]) || "en";
+}
+let locale = savedLocale();
+
+// ---------- Lookup ----------
+function hasMessage(key){ return key in LOCALES[locale].messages || key in LOCALES.en.messages; }
+function t(key, params={}){
+  const msg = LOCALES[locale].messages[key] ?? LOCALES.en.messages[key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, k) => k in params ? String(params[k]) : m);
+}
+function ordinal(n){ return LOCALES[locale].ordinal(n); }
+
+// Display label for a type cell ("Rainy/Twisty" -> "Chuvoso/Sinuoso").
+// "-" stays "-", and words the engine doesn't know are shown as written.
+function typeLabel(raw){
+  const text = String(raw ?? "").trim();
+  const { tokens, TYPE_ALIASES, norm } = Overdr1veEngine;
+  const toks = tokens(text);
+  if (!toks.includes("any")) return toks.map(k => t(`type.${k}`)).join("/");
+  if (!text || text === "-") return "-";
+  return norm(text) === "any" || TYPE_ALIASES.any.includes(norm(text)) ? t("type.any") : text;
+}
+function conditionText(upg){
+  const raw = Overdr1veEngine.getUpgConditionRaw(upg);
+  return raw ? typeLabel(raw) : t("type.any");
+}
+function statLabel(field){
+  const key = { "core power": "card.corePower", "max laps": "card.maxLaps" }[Overdr1veEngine.norm(field)];
+  return key ? t(key) : field;
+}
+// Registered strategies and presets without a catalog entry keep the engine's label.
+function strategyText(id){
+  return hasMessage(`strategy.${id}`) ? t(`strategy.${id}`) : Overdr1veEngine.strategyLabel(id);
+}
+function presetText(id){
+  return hasMessage(`preset.${id}`) ? t(`preset.${id}`) : Overdr1veEngine.RULE_PRESETS[id].label;
+}
+// Seats named by buildSeats() ("Bot 3"); humans keep their own names.
+function botName(name){
+  const m = /^Bot (\d+)$/.exec(name);
+  return m ? t("bot.name", {n: m[1]}) : name;
+}
+function playerName(p){ return p.isHuman ? p.name : botName(p.name); }
+
+// ---------- Static markup ----------
+// data-i18n (text), data-i18n-html (catalog markup), data-i18n-placeholder,
+// data-i18n-title, data-i18n-aria-label.
+function applyStaticText(root=document){
+  root.querySelectorAll("[data-i18n]").forEach(n => { n.textContent = t(n.dataset.i18n); });
+  root.querySelectorAll("[data-i18n-html]").forEach(n => { n.innerHTML = t(n.dataset.i18nHtml); });
+  [["placeholder", "i18nPlaceholder"], ["title", "i18nTitle"], ["aria-label", "i18nAriaLabel"]].forEach(([attr, key]) => {
+    root.querySelectorAll(`[data-${attr === "aria-label" ? "i18n-aria-label" : `i18n-${attr}`}]`)
+      .forEach(n => n.setAttribute(attr, t(n.dataset[key])));
+  });
+  document.documentElement.lang = locale;
+  document.title = t("app.title");
+}
+
+// ---------- Switcher ----------
+function setLocale(code){
+  if (!LOCALES[code]) return;
+  locale = code;
+  try { localStorage.setItem(LOCALE_KEY, code); } catch (e) { /* storage unavailable */ }
+  applyStaticText();
+  refreshLocaleViews(); // app.js
+}
+function initLocaleUI(){
+  const sel = $("#localeSelect");
+  Object.entries(LOCALES).forEach(([code, l]) => {
+    const opt = document.createElement("option"); opt.value = code; opt.textContent = l.name; sel.appendChild(opt);
+  });
+  sel.value = locale;
+  sel.onchange = () => setLocale(sel.value);
+  applyStaticText();
+}
@@ -0,0 +1,228 @@
+// Overdr1ve — online races (loaded after app.js)
+// Talks to server/relay.js over a WebSocket. The server owns the season: each
+// "season" message is restored into `state` and drawn with the normal race UI,
+// and the local pick is sent instead of resolved (see lockInPick()).
+const ONLINE_SESSION_KEY = "overdr1ve.online"; // sessionStorage: {url, room, token}
+
+let onlineConn = null; // {url, ws, room, token, memberId, retries, retryTimer, leaving, localCards, lobby}
+
+function defaultServerUrl(){
+  return /^https?:$/.test(location.protocol)
+    ? `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/ws`
+    : "ws://localhost:8080/ws";
+}
+function setOnlineStatus(text){
+  $("#onlineStatus").textContent = text;
+  if (state.online) syncOnlineBar();
+}
+
+// ---------- Connection ----------
+// seat: {room, token} when taking an existing seat back
+function connectOnline(url, hello, seat = {}){
+  if (onlineConn) disconnectOnline();
+  onlineConn = {
+    url, ws: null, room: seat.room || null, token: seat.token || null, memberId: null, retries: 0, retryTimer: null, leaving: false,
+    localCards: { cars: state.cars, allTracks: state.allTracks, upgrades: state.upgrades },
+  };
+  openSocket(hello);
+}
+function openSocket(hello){
+  const conn = onlineConn;
+  let ws;
+  try { ws = new WebSocket(conn.url); }
+  catch (e) { setOnlineStatus(t("online.unreachable", {url: conn.url, error: e.message})); return; }
+  conn.ws = ws;
+  setOnlineStatus(t("online.connecting", {url: conn.url}));
+  ws.onopen = () => ws.send(JSON.stringify(hello));
+  ws.onmessage = e => { if (onlineConn === conn) onOnlineMessage(JSON.parse(e.data)); };
+  ws.onclose = e => {
+    if (onlineConn !== conn || conn.leaving) return;
+    if (e.code === 4000) { setOnlineStatus(t("online.takenOver")); onlineConn = null; return; }
+    if (!conn.token) { setOnlineStatus(t("online.noServer", {url: conn.url})); onlineConn = null; return; }
+    // Lost an established seat: keep retrying with the seat token.
+    const delay = Math.min(15000, 1000 * 2 ** conn.retries++);
+    setOnlineStatus(t("online.reconnecting", {secs: Math.round(delay / 1000)}));
+    conn.retryTimer = setTimeout(() => openSocket({ type: "resume", room: conn.room, token: conn.token }), delay);
+  };
+}
+function onlineSend(msg){
+  if (onlineConn?.ws?.readyState === WebSocket.OPEN) onlineConn.ws.send(JSON.stringify(msg));
+  else setOnlineStatus(t("online.notSent"));
+}
+function disconnectOnline(){
+  const conn = onlineConn;
+  if (!conn) return;
+  conn.leaving = true;
+  clearTimeout(conn.retryTimer);
+  if (conn.ws && conn.ws.readyState <= WebSocket.OPEN) conn.ws.close();
+  onlineConn = null;
+}
+
+function onOnlineMessage(msg){
+  switch (msg.type) {
+    case "joined":
+      Object.assign(onlineConn, { room: msg.room, token: msg.token, memberId: msg.playerId, retries: 0 });
+      try { sessionStorage.setItem(ONLINE_SESSION_KEY, JSON.stringify({ url: onlineConn.url, room: msg.room, token: msg.token })); }
+      catch (e) { /* storage unavailable: no resume after reload */ }
+      setOnlineStatus(t("online.inRoom", {room: msg.room}));
+      return;
+    case "lobby": renderOnlineLobby(msg); return;
+    case "season": applyOnlineSeason(msg); return;
+    case "error":
+      setOnlineStatus(msg.message);
+      if (!onlineConn.token || /seat is gone/.test(msg.message)) leaveOnline();
+      return;
+  }
+}
+
+// ---------- Lobby ----------
+function renderOnlineLobby(msg){
+  onlineConn.lobby = msg;
+  Object.assign(state, { cars: msg.cards.cars, allTracks: msg.cards.tracks, upgrades: msg.cards.upgrades });
+  $("#onlineJoinBox").classList.add("hidden");
+  $("#onlineLobby").classList.remove("hidden");
+  $("#onlineRoomCode").textContent = msg.room;
+
+  const me = msg.players.find(p => p.id === onlineConn.memberId);
+  const isHost = msg.hostId === onlineConn.memberId;
+  const grid = Math.min(msg.rules.fieldSize, msg.cards.cars.length);
+  const list = $("#onlinePlayers"); list.innerHTML = "";
+  msg.players.forEach(p => {
+    const item = el("li");
+    const car = p.carIndex === null ? t("online.noCar") : msg.cards.cars[p.carIndex]["Car"];
+    item.textContent = `${p.id === msg.hostId ? t("online.host", {name: p.name}) : p.name} — ${car}`;
+    if (!p.connected) item.appendChild(badge(t("online.offline"), "dnf"));
+    list.appendChild(item);
+  });
+
+  const sel = $("#onlineCar"); sel.innerHTML = "";
+  const none = el("option"); none.value = ""; none.textContent = t("online.chooseCar"); sel.appendChild(none);
+  msg.cards.cars.forEach((c, i) => {
+    const owner = msg.players.find(p => p.carIndex === i && p.id !== onlineConn.memberId);
+    const opt = el("option"); opt.value = String(i);
+    opt.textContent = owner ? `${c["Car"]} — ${owner.name}` : c["Car"];
+    opt.disabled = !!owner;
+    sel.appendChild(opt);
+  });
+  sel.value = me && me.carIndex !== null ? String(me.carIndex) : "";
+
+  $("#onlineStartBtn").classList.toggle("hidden", !isHost);
+  $("#onlineLobbyText").textContent =
+    t("online.lobby", {n: msg.players.length, grid, tracks: msg.rules.trackCount}) + " " +
+    t(isHost ? "online.startWhenReady" : "online.waitHost");
+}
+
+// ---------- Race ----------
+function applyOnlineSeason(msg){
+  const wasRacing = !!state.online;
+  const prevTracks = wasRacing ? state.resultsByTrack.length : 0;
+  const prevIndex = wasRacing ? state.currentTrackIndex : -1;
+
+  Object.assign(state, restoreSeason(msg.season));
+  const mySeat = msg.seats.find(s => s.id === onlineConn.memberId);
+  state.online = { room: msg.room, pid: mySeat.pid, waiting: msg.waiting, seats: msg.seats };
+  state.picks = []; state.pickTurn = 0; state.handoffConfirmed = true;
+
+  if (!wasRacing) {
+    $("#setupSection").classList.add("hidden");
+    $("#raceSection").classList.remove("hidden");
+    $("#trackResults").innerHTML = "";
+    $("#trackHistory").innerHTML = "";
+    $("#onlineBar").classList.remove("hidden");
+    syncTopbarButtons();
+  }
+  if (state.resultsByTrack.length && state.resultsByTrack.length !== prevTracks) {
+    showTrackResult(state.resultsByTrack.length - 1, {animate: wasRacing});
+    if (wasRacing) announceTrackResult(state.resultsByTrack.length - 1);
+  }
+  if (state.currentTrackIndex >= state.tracks.length) {
+    renderSeedBadge();
+    renderStandings();
+    if (prevIndex < state.tracks.length) {
+      if (wasRacing) recordSeasonEnd(); // not when rejoining a finished room
+      finishRaceUI();
+    }
+  } else if (state.currentTrackIndex !== prevIndex) {
+    renderRaceUI(); // new track: fresh picker (otherwise keep the player's browsing)
+  } else {
+    renderStandings();
+  }
+  syncRacePhase();
+  syncOnlineBar();
+}
+
+// Room line above the race; greys out the picker once this driver has picked
+// (the race controller's "resolving" phase disables the buttons).
+function syncOnlineBar(){
+  const o = state.online;
+  const nameOf = pid => { const p = state.players.find(q => q.id === pid); return p ? playerName(p) : "?"; };
+  const over = state.currentTrackIndex >= state.tracks.length;
+  const locked = over || !o.waiting.includes(o.pid);
+  const others = o.waiting.filter(pid => pid !== o.pid).map(nameOf);
+  const away = o.seats.filter(s => !s.connected || s.bot)
+    .map(s => `${nameOf(s.pid)} (${t(s.bot ? "online.botDriving" : "online.reconnectingShort")})`);
+
+  const parts = [
+    t("online.roomN", {room: o.room}),
+    over ? t("online.over") : locked ? (others.length ? t("online.waitingFor", {names: others.join(", ")}) : t("online.resolving")) : t("online.yourPick"),
+  ];
+  if (away.length) parts.push(t("online.away", {names: away.join(", ")}));
+  if (onlineConn?.ws?.readyState !== WebSocket.OPEN) parts.push($("#onlineStatus").textContent);
+  $("#onlineBar").textContent = parts.join(" · ");
+
+  $("#upgradePicker").classList.toggle("locked", locked);
+  if (!over) $("#pickTitle").textContent = locked ? t("online.locked") : t("race.pickTitle");
+}
+
+// Called by lockInPick() instead of resolving locally.
+function sendOnlinePick(upgrade){
+  onlineSend({ type: "pick", upgrade: upgrade ? upgrade["Upgrade"] : null });
+  state.online.waiting = state.online.waiting.filter(pid => pid !== state.online.pid);
+  syncOnlineBar();
+}
+
+function leaveOnline(){
+  if (onlineConn?.ws?.readyState === WebSocket.OPEN) onlineSend({ type: "leave" });
+  const localCards = onlineConn?.localCards;
+  disconnectOnline();
+  try { sessionStorage.removeItem(ONLINE_SESSION_KEY); } catch (e) { /* storage unavailable */ }
+  if (localCards) Object.assign(state, localCards);
+  $("#onlineLobby").classList.add("hidden");
+  $("#onlineJoinBox").classList.remove("hidden");
+  $("#onlineBar").classList.add("hidden");
+  $("#upgradePicker").classList.remove("locked");
+  if (state.online) { state.online = null; returnToSetup(); }
+  else initSetupUI();
+}
+
+// ---------- Setup panel ----------
+function onlineName(){ return $("#playerNameInput").value.trim(); }
+
+function initOnlineUI(){
+  $("#onlineUrl").value = defaultServerUrl();
+  $("#onlineCreateBtn").onclick = () => {
+    if (!onlineName()) { setOnlineStatus(t("online.needName")); return; }
+    connectOnline($("#onlineUrl").value.trim(), {
+      type: "create", name: onlineName(), rules: selectedRules, seed: $("#seedInput").value,
+      cards: { cars: state.cars, tracks: state.allTracks, upgrades: state.upgrades },
+    });
+  };
+  $("#onlineJoinBtn").onclick = () => {
+    const room = $("#onlineRoomInput").value.trim().toUpperCase();
+    if (!onlineName() || !room) { setOnlineStatus(t("online.needRoom")); return; }
+    connectOnline($("#onlineUrl").value.trim(), { type: "join", room, name: onlineName() });
+  };
+  $("#onlineCar").onchange = e => { if (e.target.value !== "") onlineSend({ type: "car", carIndex: Number(e.target.value) }); };
+  $("#onlineStartBtn").onclick = () => onlineSend({ type: "start" });
+  $("#onlineLeaveBtn").onclick = leaveOnline;
+
+  // Reloaded mid-room: take the seat back.
+  let saved = null;
+  try { saved = JSON.parse(sessionStorage.getItem(ONLINE_SESSION_KEY) || "null"); } catch (e) { /* ignore */ }
+  if (saved && saved.token) {
+    $("#onlineUrl").value = saved.url;
+    $("#onlinePanel").open = true;
+    connectOnline(saved.url, { type: "resume", room: saved.room, token: saved.token }, saved);
+  }
+}
+initOnlineUI();
@@ -0,0 +1,57 @@
+// Overdr1ve — presenter window (presenter.html)
+// No game state of its own: it redraws whatever the game window posts on the
+// BroadcastChannel (presenter.js) and says hello so it gets the current view.
+const channel = new BroadcastChannel("overdr1ve.presenter");
+
+function $(sel){ return document.querySelector(sel); }
+function showWaiting(text){
+  $("#presWaiting").classList.remove("hidden");
+  if (text) $("#presWaiting").textContent = text;
+  $("#presRace").classList.add("hidden");
+  $("#presCharts").classList.add("hidden");
+  $("#presBracket").classList.add("hidden");
+  $("#presHeading").textContent = "";
+}
+
+function render(snap){
+  document.documentElement.lang = snap.lang;
+  document.title = snap.title;
+  $("#presTitle").textContent = snap.title;
+  if (!snap.standings) { showWaiting(snap.waiting); return; }
+
+  $("#presWaiting").classList.add("hidden");
+  $("#presRace").classList.remove("hidden");
+  $("#presHeading").textContent = snap.heading;
+  $("#presTrackPanel").classList.toggle("hidden", !snap.track);
+  $("#presTrack").innerHTML = snap.track || "";
+  $("#presStandingsTitle").textContent = snap.standingsTitle;
+  $("#presStandings").innerHTML = snap.standings;
+  $("#presPodiumTitle").textContent = snap.podium ? snap.podium.title : "";
+  $("#presPodium").innerHTML = snap.podium ? snap.podium.html : "";
+  $("#presBracket").classList.toggle("hidden", !snap.bracket);
+  $("#presBracketTitle").textContent = snap.bracket ? snap.bracket.title : "";
+  $("#presBracketBody").innerHTML = snap.bracket ? snap.bracket.html : "";
+
+  const charts = $("#presCharts");
+  charts.innerHTML = "";
+  charts.classList.toggle("hidden", !snap.charts);
+  (snap.charts || []).forEach(c => {
+    const panel = document.createElement("section");
+    panel.className = `panel ${c.cls}`.trim();
+    const h = document.createElement("h2");
+    h.textContent = c.title;
+    const body = document.createElement("div");
+    body.innerHTML = c.html;
+    panel.append(h, body);
+    charts.appendChild(panel);
+  });
+}
+
+channel.onmessage = e => {
+  const msg = e.data || {};
+  if (msg.type === "state") render(msg);
+  else if (msg.type === "ping") channel.postMessage({ type: "hello" });
+  else if (msg.type === "bye") showWaiting();
+};
+channel.postMessage({ type: "hello" });
+window.addEventListener("pagehide", () => channel.postMessage({ type: "bye" }));
@@ -0,0 +1,96 @@
+// Overdr1ve — presenter mode, operator side (loaded after report.js)
+// "Presenter" opens presenter.html in a second window for the projector and
+// keeps it in step over a BroadcastChannel. Every race change posts the
+// current track card, the standings, the last track's podium, the tournament
+// bracket if there is one and, once the season is over, the end-of-race
+// charts. Everything arrives already rendered in the operator's language.
+// Pickers and buttons stay in this window.
+const PRESENTER_CHANNEL = "overdr1ve.presenter";
+const PRESENTER_URL = "presenter.html";
+
+let presenterChannel = null;
+let presenterWatching = false; // a presenter window is open (hello, until bye)
+
+// Rank, player, car, points, wins, finishes. Names without "(You)": the
+// audience isn't "you".
+function presenterStandings(){
+  const rows = orderStandings(state.players).map((p, i) => ({
+    rowClass: p.isHuman ? "you-row" : "",
+    cells: [i + 1, playerName(p), p.car["Car"], p.points, p.wins, `${p.finishes}/${state.resultsByTrack.length}`],
+  }));
+  return table(["standings.rank","result.player","result.car","result.points","standings.wins","standings.finishes"].map(k => t(k)), rows).outerHTML;
+}
+function presenterPodium(){
+  const entry = state.resultsByTrack[state.resultsByTrack.length - 1];
+  if (!entry) return null;
+  const podium = entry.ranked.filter(r => !r.dnf).slice(0, 3);
+  const list = el("ol", "podium");
+  podium.forEach(r => {
+    const item = el("li");
+    item.textContent = `${playerName(r)} — ${r.car} · ${t("advice.points", {n: r.points})}`;
+    list.appendChild(item);
+  });
+  if (!podium.length) list.appendChild(Object.assign(el("li"), {textContent: t("announce.nobody")}));
+  return {
+    title: t("present.podium", {n: state.resultsByTrack.length, track: entry.track["Track"]}),
+    html: list.outerHTML,
+  };
+}
+
+function presenterSnapshot(){
+  const snap = {
+    type: "state",
+    lang: document.documentElement.lang,
+    title: t("present.title"),
+    waiting: t("present.waiting"),
+    standingsTitle: t("race.standings"),
+    phase: race.phase,
+  };
+  if (!state.started || state.draft) return snap;
+  const over = isSeasonOver(state);
+  snap.heading = over
+    ? t("present.over", {seed: state.seed})
+    : t("present.track", {n: state.currentTrackIndex + 1, of: state.tracks.length, seed: state.seed});
+  snap.track = over ? null : renderTrackCard(state.tracks[state.currentTrackIndex]).outerHTML;
+  snap.standings = presenterStandings();
+  snap.podium = presenterPodium();
+  snap.bracket = state.tournament ? { // tournament.js
+    title: tournamentStatus(state.tournament),
+    html: renderBracket(state.tournament).outerHTML,
+  } : null;
+  if (over) {
+    const hosts = { finishRate: el("div"), cpByTrack: el("div"), points: el("div") };
+    renderSeasonCharts(hosts); // app.js; the operator's modal stays as it is
+    snap.charts = [["modal.finishRate", "finishRate", ""], ["modal.avgCP", "cpByTrack", ""], ["race.points", "points", "wide"]]
+      .map(([key, host, cls]) => ({ title: t(key), html: hosts[host].innerHTML, cls }));
+  }
+  return snap;
+}
+// Held while a race plays on this screen (raceview.js), so the big screen
+// doesn't give the result away; it catches up when the race is done.
+function syncPresenter(){
+  if (!presenterChannel || !presenterWatching || raceView) return;
+  presenterChannel.postMessage(presenterSnapshot());
+}
+
+function openPresenter(){
+  const win = window.open(PRESENTER_URL, "overdr1ve-presenter", "popup");
+  win?.focus();
+}
+
+function initPresenterUI(){
+  const btn = $("#presenterBtn");
+  if (!("BroadcastChannel" in window)) { btn.classList.add("hidden"); return; }
+  presenterChannel = new BroadcastChannel(PRESENTER_CHANNEL);
+  presenterChannel.onmessage = e => {
+    const type = e.data?.type;
+    if (type === "bye") presenterWatching = false;
+    else if (type === "hello") { presenterWatching = true; syncPresenter(); }
+  };
+  btn.onclick = openPresenter;
+  onRaceChange(syncPresenter);
+  // a presenter left open from before a reload answers with hello
+  presenterChannel.postMessage({ type: "ping" });
+  window.addEventListener("pagehide", () => presenterChannel.postMessage({ type: "bye" }));
+}
+initPresenterUI();
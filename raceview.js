@@ -0,0 +1,166 @@
+// Overdr1ve — animated race view (loaded after app.js)
+// Plays a resolved track as a race on a canvas, drawn like launchConfetti():
+// every car runs the track's Total Laps at a pace set by its effective CP, and
+// a DNF stalls out where its effective ML runs dry. Finishers cross the line in
+// the ranked order (a CP tie is split the way rankResults() splits it), so the
+// picture never disagrees with the table under it. Reopened tracks, Simulate
+// All and reduced motion get the last frame only.
+const RACE_VIEW_MS = 5000; // the whole race at 1×
+const RACE_SPEEDS = [0.5, 1, 2, 4];
+const RACE_SPEED_KEY = "overdr1ve.raceSpeed";
+const RACE_LANE_H = 26;
+
+let raceView = null; // {frame, done} while a race is playing
+
+function savedRaceSpeed(){
+  try {
+    const speed = parseFloat(localStorage.getItem(RACE_SPEED_KEY));
+    if (RACE_SPEEDS.includes(speed)) return speed;
+  } catch (e) { /* storage unavailable */ }
+  return 1;
+}
+
+// When each car crosses the line or stalls, in pace units (laps / CP).
+// `reach` is how much of the track it covers: 1, or ML/laps for a DNF.
+function raceTimeline(ranked, track){
+  const laps = Math.max(1, parseInt(track["Total Laps"], 10) || 1);
+  let last = 0;
+  const cars = ranked.map((r, pos) => {
+    const pace = Math.max(1, r.effCP);
+    if (r.dnf) {
+      const reach = Math.min(1, Math.max(0, r.effML) / laps);
+      return { r, pos, reach, end: reach * laps / pace };
+    }
+    last = Math.max(laps / pace, last * 1.01); // never level with the car ahead
+    return { r, pos, reach: 1, end: last };
+  }).sort((a, b) => a.r.id - b.r.id); // lanes in seat order
+  return { laps, cars, total: Math.max(...cars.map(c => c.end)) || 1 };
+}
+function raceProgress(car, time){
+  return car.end ? Math.min(1, time / car.end) * car.reach : car.reach;
+}
+
+function drawRace(canvas, tl, time){
+  const ctx = canvas.getContext("2d");
+  const DPR = window.devicePixelRatio || 1;
+  const css = getComputedStyle(document.body);
+  const color = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+  const w = canvas.width / DPR, x0 = 120, x1 = w - 64;
+  const n = tl.cars.length;
+
+  ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+  ctx.clearRect(0, 0, w, canvas.height / DPR);
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.textBaseline = "middle";
+
+  // lap ticks every 10 laps, the finish line and the leader's lap
+  ctx.strokeStyle = color("--border", "#2a2f3a");
+  for (let lap = 10; lap < tl.laps; lap += 10) {
+    const x = x0 + (x1 - x0) * lap / tl.laps;
+    ctx.beginPath(); ctx.moveTo(x, 22); ctx.lineTo(x, 22 + n * RACE_LANE_H); ctx.stroke();
+  }
+  ctx.strokeStyle = color("--text", "#e8e8ea");
+  ctx.lineWidth = 2;
+  ctx.beginPath(); ctx.moveTo(x1, 18); ctx.lineTo(x1, 26 + n * RACE_LANE_H); ctx.stroke();
+  ctx.lineWidth = 1;
+  const running = tl.cars.filter(c => raceProgress(c, time) < c.reach);
+  const lead = Math.max(0, ...running.map(c => raceProgress(c, time)));
+  ctx.fillStyle = color("--muted", "#a8acb3");
+  ctx.fillText(running.length
+    ? t("raceview.lap", {n: Math.max(1, Math.ceil(lead * tl.laps)), of: tl.laps})
+    : t("raceview.finished"), x0, 10);
+
+  tl.cars.forEach((c, i) => {
+    const y = 22 + i * RACE_LANE_H + RACE_LANE_H / 2;
+    const p = raceProgress(c, time);
+    const stalled = c.r.dnf && p >= c.reach;
+    const hue = Math.round(i * 360 / n);
+    const x = x0 + (x1 - x0) * p;
+
+    ctx.fillStyle = c.r.isHuman ? color("--accent-2", "#ffb36a") : color("--text", "#e8e8ea");
+    ctx.fillText(displayName(c.r).slice(0, 16), 4, y);
+    ctx.strokeStyle = color("--border", "#2a2f3a");
+    ctx.beginPath(); ctx.moveTo(x0, y); ctx.lineTo(x1, y); ctx.stroke();
+
+    ctx.fillStyle = stalled ? color("--muted", "#a8acb3") : `hsl(${hue},85%,62%)`;
+    ctx.beginPath(); ctx.arc(x, y, c.r.isHuman ? 8 : 6, 0, Math.PI * 2); ctx.fill();
+    if (stalled) {
+      ctx.fillStyle = color("--bad", "#e74c3c");
+      ctx.fillText(t("result.dnf"), x + 10, y);
+    } else if (p >= 1) {
+      ctx.fillStyle = color("--text", "#e8e8ea");
+      ctx.fillText(`P${c.pos + 1}`, x1 + 12, y);
+    }
+  });
+}
+
+function stopRaceView(){
+  if (!raceView) return;
+  cancelAnimationFrame(raceView.frame);
+  const done = raceView.done;
+  raceView = null;
+  done();
+}
+
+// Canvas + speed and skip controls for one track; onDone runs once the race
+// has been run out (or skipped, or replaced by another track).
+function renderRaceView(ranked, track, {animate=false, onDone=() => {}}={}){
+  stopRaceView();
+  const tl = raceTimeline(ranked, track);
+  const wrap = el("div", "race-view");
+  const canvas = el("canvas");
+  canvas.setAttribute("role", "img");
+  canvas.setAttribute("aria-label", t("raceview.label", {track: track["Track"]}));
+  const controls = el("div", "row race-view-controls");
+  wrap.append(canvas, controls);
+
+  const size = () => {
+    const DPR = window.devicePixelRatio || 1;
+    const width = wrap.clientWidth || 640;
+    canvas.width = width * DPR;
+    canvas.height = (30 + tl.cars.length * RACE_LANE_H) * DPR;
+    canvas.style.height = `${30 + tl.cars.length * RACE_LANE_H}px`;
+  };
+  const finish = () => { size(); drawRace(canvas, tl, tl.total); controls.classList.add("hidden"); };
+
+  if (!animate || document.body.classList.contains("reduce-motion")) {
+    controls.classList.add("hidden");
+    requestAnimationFrame(finish); // once the wrapper is in the page and has a width
+    onDone();
+    return wrap;
+  }
+
+  const speedLabel = el("label", "control-row");
+  const speedSel = el("select");
+  RACE_SPEEDS.forEach(s => {
+    const opt = el("option"); opt.value = String(s); opt.textContent = `${s}×`; speedSel.appendChild(opt);
+  });
+  speedSel.value = String(savedRaceSpeed());
+  speedSel.onchange = () => {
+    try { localStorage.setItem(RACE_SPEED_KEY, speedSel.value); } catch (e) { /* storage unavailable */ }
+  };
+  speedLabel.append(Object.assign(el("span", "label"), {textContent: t("raceview.speed")}), speedSel);
+  const skip = el("button", "btn secondary small");
+  skip.type = "button";
+  skip.textContent = t("raceview.skip");
+  skip.onclick = stopRaceView;
+  controls.append(speedLabel, skip);
+
+  let time = 0, prev = null;
+  const view = {
+    frame: 0,
+    done: () => { finish(); onDone(); },
+  };
+  const tick = now => {
+    if (raceView !== view) return;
+    if (prev === null) size();
+    time += (prev === null ? 0 : now - prev) * parseFloat(speedSel.value) * tl.total / RACE_VIEW_MS;
+    prev = now;
+    drawRace(canvas, tl, Math.min(time, tl.total));
+    if (time >= tl.total) { stopRaceView(); return; }
+    view.frame = requestAnimationFrame(tick);
+  };
+  raceView = view;
+  view.frame = requestAnimationFrame(tick);
+  return wrap;
+}
@@ -0,0 +1,164 @@
+// Overdr1ve — season report export (loaded after championship.js)
+// From the end-of-season modal: a standalone HTML page (open it anywhere, or
+// print it to PDF) with the seed, rules, grid, every track's results with the
+// CP/ML breakdowns, the final standings and the charts; plus the per-track
+// results as CSV for the notebooks in data_experiment/.
+const { seasonResultsToCSV } = Overdr1veEngine;
+
+// Light, print-friendly stand-ins for the styles.css rules the charts and
+// tables use; the report carries no other files.
+const REPORT_CSS = `
+body{ font:14px/1.45 system-ui,-apple-system,Segoe UI,Roboto,sans-serif; color:#16181d; margin:24px auto; max-width:960px; padding:0 16px; }
+h1{ margin:0 0 4px; } h2{ margin:28px 0 8px; border-bottom:2px solid #16181d; } h3{ margin:18px 0 6px; }
+.muted{ color:#5b6170; } .print{ float:right; }
+table{ border-collapse:collapse; width:100%; margin:6px 0; } th,td{ border:1px solid #d5d8de; padding:4px 6px; text-align:left; vertical-align:top; }
+th{ background:#eef0f3; } tr.you-row td{ font-weight:600; } tr.dnf-row td{ color:#9a2a2a; }
+.breakdown{ display:block; font-size:11px; color:#5b6170; font-weight:400; }
+dl{ display:grid; grid-template-columns:max-content 1fr; gap:2px 16px; } dt{ color:#5b6170; } dd{ margin:0; }
+.track{ break-inside:avoid; } .charts{ display:grid; grid-template-columns:1fr 1fr; gap:16px; } .wide{ grid-column:1 / -1; }
+.barwrap{ display:flex; flex-direction:column; gap:4px; } .barrow{ display:grid; grid-template-columns:140px 1fr 50px; gap:8px; align-items:center; }
+.bar{ background:#eef0f3; height:10px; border-radius:999px; overflow:hidden; } .barfill{ height:100%; background:#3b6fd8; }
+.barvalue{ justify-self:end; } .linechart{ width:100%; height:auto; } .linechart text{ fill:#5b6170; font-size:11px; } .linechart .grid{ stroke:#d5d8de; }
+.linelegend{ display:flex; flex-wrap:wrap; gap:2px 12px; font-size:12px; } .linelegend i{ display:inline-block; width:10px; height:10px; margin-right:4px; }
+.linelegend .you{ font-weight:600; }
+@media print{ .print{ display:none; } body{ margin:0; max-width:none; } h2{ break-after:avoid; } }
+`;
+
+// Run ID in the CSV: the season's index in a championship, else 0.
+function reportRunId(){
+  const c = state.championship;
+  return c ? Math.max(0, c.seasons.length - 1) : 0;
+}
+// Championship seasons have seeds of their own (SEED, SEED-2, …).
+function reportFileName(kind, ext){ return `overdr1ve_${kind}_${state.seed}.${ext}`; }
+
+// ---------- Report sections ----------
+function reportRules(){
+  const r = state.rules;
+  const dl = el("dl");
+  const hand = r.draft ? t("balance.handDrafted", {n: draftHandSize(r, state.upgrades)})
+    : r.upgradeHand === "full" ? t("balance.fullDeck") : t("balance.handDealt", {n: r.upgradeHand});
+  [
+    [t("balance.seed"), state.seed],
+    [t("rules.fieldSize"), r.fieldSize],
+    [t("rules.trackCount"), r.trackCount],
+    [t("rules.points"), r.points.join("-")],
+    [t("rules.dnfPoints"), r.dnfPoints],
+    [t("rules.hand"), hand],
+  ].forEach(([k, v]) => {
+    dl.appendChild(Object.assign(el("dt"), {textContent: k}));
+    dl.appendChild(Object.assign(el("dd"), {textContent: v}));
+  });
+  return dl;
+}
+function reportGrid(){
+  const dealt = state.players.some(p => p.hand);
+  const rows = state.players.map(p => ({
+    rowClass: p.isHuman ? "you-row" : "",
+    cells: [displayName(p), p.car["Car"], typeLabel(p.car["Track Type"]), p.car["Core Power"], p.car["Max Laps"],
+            p.isHuman ? t("player.human") : strategyText(p.strategy),
+            ...(dealt ? [(p.hand || []).map(u => u["Upgrade"]).join(", ")] : [])],
+  }));
+  const headers = ["result.player","result.car","card.trackType","card.corePower","card.maxLaps","standings.strategy"].map(k => t(k));
+  return table(dealt ? [...headers, t("report.hand")] : headers, rows);
+}
+// Breakdowns print under the numbers: there is no hover on paper.
+function withBreakdown(value, text){
+  const span = el("span");
+  span.append(String(value));
+  span.appendChild(Object.assign(el("span", "breakdown"), {textContent: text}));
+  return {el: span};
+}
+function reportTrack(entry, idx){
+  const {track, ranked} = entry;
+  const box = el("section", "track");
+  const h = el("h3");
+  h.textContent = t("report.track", {n: idx + 1, track: track["Track"]});
+  const bonus = parseTrackBonus(track["Type Bonus"]);
+  const meta = el("p", "muted");
+  meta.textContent = [
+    `${t("card.type")}: ${typeLabel(track["Track Type"])}`,
+    `${t("result.laps")}: ${track["Total Laps"]}`,
+    `${t("card.bonus")}: ${bonus.field ? `${bonus.amount} ${statLabel(bonus.field)}` : "-"}`,
+    ...(track["Effect"] ? [`${t("result.hazard")}: ${track["Effect"]}`] : []),
+  ].join(" · ");
+  const rows = ranked.map((r, i) => ({
+    rowClass: r.isHuman ? "you-row" : r.dnf ? "dnf-row" : "",
+    cells: [i + 1, displayName(r), r.car,
+            withBreakdown(r.effCP, modifierTitle(r.br, "cp")), withBreakdown(r.effML, modifierTitle(r.br, "ml")),
+            r.dnf ? t("result.dnf") : r.br.shield ? `${t("result.finished")} · ${t("result.shield", {name: r.br.shield})}` : t("result.finished"),
+            r.upgrade || "-", r.cond === "-" ? r.cond : `${typeLabel(r.cond)}${r.upgApplied ? " ✓" : ""}`, r.points],
+  }));
+  box.append(h, meta, table(
+    ["result.pos","result.player","result.car","result.effCP","result.effML","result.status","result.upgrade","result.condition","result.points"].map(k => t(k)),
+    rows));
+  return box;
+}
+function reportStandings(){
+  const rows = orderStandings(state.players).map((p, i) => ({
+    rowClass: p.isHuman ? "you-row" : "",
+    cells: [i + 1, displayName(p), p.car["Car"], p.isHuman ? t("player.human") : strategyText(p.strategy),
+            p.points, p.wins, `${p.finishes}/${state.tracks.length}`],
+  }));
+  return table(["standings.rank","result.player","result.car","standings.strategy","result.points","standings.wins","standings.finishes"].map(k => t(k)), rows);
+}
+// The charts already drawn in the end-of-season modal, copied as they are.
+function reportCharts(){
+  const box = el("div", "charts");
+  [["modal.finishRate", "#chartFinishRate", ""], ["modal.avgCP", "#chartCPByTrack", ""], ["race.points", "#chartPoints", "wide"]]
+    .forEach(([key, sel, cls]) => {
+      const panel = el("div", cls);
+      panel.appendChild(Object.assign(el("h3"), {textContent: t(key)}));
+      panel.appendChild($(sel).cloneNode(true));
+      box.appendChild(panel);
+    });
+  return box;
+}
+
+// ---------- Export ----------
+function seasonReportHTML(){
+  const doc = document.implementation.createHTMLDocument(t("report.title", {seed: state.seed}));
+  doc.documentElement.lang = document.documentElement.lang;
+  const meta = doc.createElement("meta"); meta.setAttribute("charset", "utf-8");
+  const style = doc.createElement("style"); style.textContent = REPORT_CSS;
+  doc.head.prepend(meta);
+  doc.head.appendChild(style);
+
+  const body = doc.body;
+  const print = el("button", "print");
+  print.type = "button"; print.textContent = t("report.print");
+  print.setAttribute("onclick", "window.print()");
+  const h1 = el("h1"); h1.textContent = t("report.title", {seed: state.seed});
+  const sub = el("p", "muted");
+  const c = state.championship;
+  sub.textContent = [
+    c ? t("report.championship", {n: c.seasons.length, of: c.length}) : "",
+    t("report.generated", {date: new Date().toLocaleString(document.documentElement.lang)}),
+  ].filter(Boolean).join(" · ");
+  const section = (key, node) => {
+    body.appendChild(Object.assign(el("h2"), {textContent: t(key)}));
+    body.appendChild(node);
+  };
+  body.append(print, h1, sub);
+  section("report.rules", reportRules());
+  section("report.grid", reportGrid());
+  section("report.final", reportStandings());
+  section("report.charts", reportCharts());
+  body.appendChild(Object.assign(el("h2"), {textContent: t("report.tracks")}));
+  state.resultsByTrack.forEach((entry, i) => body.appendChild(reportTrack(entry, i)));
+  return "<!doctype html>\n" + doc.documentElement.outerHTML;
+}
+function exportSeasonReport(){
+  if (!state.resultsByTrack.length) return;
+  downloadFile(reportFileName("report", "html"), seasonReportHTML(), "text/html");
+}
+function exportResultsCSV(){
+  if (!state.resultsByTrack.length) return;
+  downloadFile(reportFileName("results", "csv"), seasonResultsToCSV(state, {runId: reportRunId()}), "text/csv");
+}
+
+function initReportUI(){
+  $("#exportReportBtn").onclick = exportSeasonReport;
+  $("#exportResultsBtn").onclick = exportResultsCSV;
+}
+initReportUI();
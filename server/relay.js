@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+// Overdr1ve — online race server (Node, no dependencies)
+//
+//   node server/relay.js --port 8080
+//
+// Serves the game itself over HTTP (so phones on the same network can open
+// it) and hosts race rooms over a WebSocket at /ws. The server owns each
+// season and resolves tracks with engine.js, so every phone sees the same
+// results as a local race.
+//
+// Messages are JSON objects with a `type`.
+//   client -> server
+//     create {name, cards:{cars,tracks,upgrades}, rules, seed}  host a room
+//     join   {room, name}          join a room that hasn't started
+//     resume {room, token}         reconnect (token from "joined")
+//     car    {carIndex}            choose a car (one driver per car)
+//     start  {}                    host only: seat bots and start the season
+//     pick   {upgrade}             secret pick for the current track (name or null)
+//     leave  {}
+//   server -> client
+//     joined {room, playerId, token}
+//     lobby  {room, hostId, players:[{id,name,carIndex,connected}], rules, cards}
+//     season {room, season (serializeSeason), seats:[{pid,id,connected,bot}], waiting:[pid]}
+//     error  {message}
+// A driver who drops out is held for --grace seconds; after that a bot races
+// their car until they reconnect.
+"use strict";
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const Engine = require("../engine.js");
+const { acceptWebSocket } = require("./ws.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const ROOM_IDLE_MS = 10 * 60 * 1000; // rooms with nobody connected expire
+const HEARTBEAT_MS = 30 * 1000;
+const MIME = {
+  ".html":"text/html; charset=utf-8", ".js":"text/javascript; charset=utf-8", ".css":"text/css; charset=utf-8",
+  ".csv":"text/csv; charset=utf-8", ".json":"application/json", ".webmanifest":"application/manifest+json",
+  ".png":"image/png", ".jpg":"image/jpeg", ".jpeg":"image/jpeg", ".svg":"image/svg+xml", ".ico":"image/x-icon",
+};
+
+function parseArgs(argv){
+  const args = { port:8080, host:"0.0.0.0", grace:20 };
+  for(let i=0;i<argv.length;i++){
+    const a = argv[i];
+    if(a === "-h" || a === "--help"){ args.help = true; continue; }
+    const key = a.replace(/^--/, ""), val = argv[++i];
+    if(!a.startsWith("--") || !(key in args) || val === undefined) throw new Error(`Unknown or incomplete option: ${a}`);
+    args[key] = key === "host" ? val : Engine.toInt(val);
+  }
+  return args;
+}
+
+function randomCode(len){
+  return Array.from(crypto.randomBytes(len), n => Engine.SEED_ALPHABET[n % Engine.SEED_ALPHABET.length]).join("");
+}
+
+// ---------- Rooms ----------
+// room: {code, cards, rules, seed, hostId, members:[member], season, picks:Map(pid -> upgrade|null)}
+// member: {id, name, token, carIndex, pid (seat id once started), socket, connected, bot, dropTimer}
+const rooms = new Map();
+
+function createRoom(host, {cards, rules, seed}){
+  const raw = { cars:cards?.cars || [], tracks:cards?.tracks || [], upgrades:cards?.upgrades || [] };
+  const errors = Engine.validateCards(raw).filter(i => i.severity === "error");
+  if(errors.length) throw new Error(`Card data has errors: ${errors[0].file} row ${errors[0].row}, ${errors[0].column}: ${errors[0].message}`);
+  let code;
+  do { code = randomCode(4); } while(rooms.has(code));
+  const room = {
+    // no online draft yet: drivers keep the cars they chose in the lobby
+    code, cards:Engine.loadCards(raw), rules:{ ...Engine.normalizeRules(rules), draft:false },
+    seed:Engine.normalizeSeedCode(seed) || randomCode(6),
+    hostId:host.id, members:[host], season:null, picks:new Map(), idleTimer:null, nextId:host.id + 1,
+  };
+  rooms.set(code, room);
+  return room;
+}
+function gridSize(room){ return Math.min(room.rules.fieldSize, room.cards.cars.length); }
+function seatOf(room, m){ return room.season && room.season.players.find(p => p.id === m.pid); }
+
+function lobbyMessage(room){
+  return { type:"lobby", room:room.code, hostId:room.hostId, rules:room.rules,
+    cards:{ cars:room.cards.cars, tracks:room.cards.allTracks, upgrades:room.cards.upgrades },
+    players:room.members.map(m => ({ id:m.id, name:m.name, carIndex:m.carIndex, connected:m.connected })) };
+}
+// Humans still to pick this track (drivers a bot has taken over don't count).
+function waitingFor(room){
+  const s = room.season;
+  if(!s || Engine.isSeasonOver(s)) return [];
+  return room.members.filter(m => !m.bot && !room.picks.has(m.pid)).map(m => m.pid);
+}
+function seasonMessage(room){
+  return { type:"season", room:room.code, season:Engine.serializeSeason(room.season),
+    seats:room.members.map(m => ({ pid:m.pid, id:m.id, connected:m.connected, bot:m.bot })),
+    waiting:waitingFor(room) };
+}
+function send(m, msg){ if(m.socket && m.connected) m.socket.send(JSON.stringify(msg)); }
+function broadcast(room){
+  const msg = room.season ? seasonMessage(room) : lobbyMessage(room);
+  room.members.forEach(m => send(m, msg));
+}
+
+function startRoom(room){
+  const humans = room.members.map(m => ({ name:m.name, carIndex:m.carIndex ?? -1 }));
+  const seats = Engine.buildSeats(room.cards.cars, humans, { seatCount:room.rules.fieldSize });
+  room.season = Engine.startSeason(room.cards, { seed:room.seed, seats, rules:room.rules });
+  room.members.forEach((m, i) => { m.pid = i + 1; m.carIndex = room.cards.cars.indexOf(seats[i].car); });
+}
+
+// Resolve once every human still in control has picked; bots (and drivers a
+// bot has taken over) decide as in a local race. With every driver gone the
+// season pauses until someone reconnects.
+function maybeResolve(room){
+  const s = room.season;
+  if(!s || Engine.isSeasonOver(s) || waitingFor(room).length || room.members.every(m => m.bot)) return;
+  const track = Engine.currentTrack(s);
+  const decisions = s.players.map(p => room.picks.has(p.id)
+    ? { pid:p.id, upgrade:room.picks.get(p.id) }
+    : { pid:p.id, upgrade:Engine.decideBot(s, p, track) });
+  room.picks.clear();
+  Engine.resolveTrack(s, decisions);
+}
+
+function pick(room, m, name){
+  const s = room.season;
+  if(!s || Engine.isSeasonOver(s)) throw new Error("No track to pick for");
+  if(room.picks.has(m.pid)) throw new Error("You already locked in this track");
+  const player = seatOf(room, m);
+  let upgrade = null;
+  if(name !== null && name !== undefined){
+    upgrade = Engine.unusedUpgrades(s, player).find(u => u["Upgrade"] === name);
+    if(!upgrade) throw new Error(`"${name}" isn't in your hand`);
+  }
+  room.picks.set(m.pid, upgrade);
+  maybeResolve(room);
+}
+
+// ---------- Connections ----------
+function dropMember(room, m, grace){
+  m.connected = false;
+  m.socket = null;
+  clearTimeout(m.dropTimer);
+  m.dropTimer = setTimeout(() => {
+    if(m.connected) return;
+    if(!room.season){
+      room.members = room.members.filter(x => x !== m);
+      if(room.hostId === m.id && room.members.length) room.hostId = room.members[0].id;
+    } else {
+      m.bot = true; // a bot races this car until the driver comes back
+      maybeResolve(room);
+    }
+    broadcast(room);
+  }, grace * 1000);
+  if(room.members.every(x => !x.connected)){
+    room.idleTimer = setTimeout(() => rooms.delete(room.code), ROOM_IDLE_MS);
+  }
+  broadcast(room);
+}
+function attach(room, m, socket){
+  clearTimeout(m.dropTimer);
+  clearTimeout(room.idleTimer);
+  m.socket = socket;
+  m.connected = true;
+  m.bot = false;
+  send(m, { type:"joined", room:room.code, playerId:m.id, token:m.token });
+}
+function newMember(id, name){
+  name = String(name || "").trim().slice(0, 24);
+  if(!name) throw new Error("Enter a name first");
+  return { id, name, token:crypto.randomBytes(12).toString("hex"), carIndex:null, pid:null,
+    socket:null, connected:false, bot:false, dropTimer:null };
+}
+
+function handle(conn, session, msg){
+  const {room, member} = session;
+  switch(msg.type){
+    case "create": {
+      const host = newMember(1, msg.name);
+      session.room = createRoom(host, msg);
+      session.member = host;
+      attach(session.room, host, conn);
+      break;
+    }
+    case "join": {
+      const r = rooms.get(Engine.normalizeSeedCode(msg.room));
+      if(!r) throw new Error(`No room "${msg.room}"`);
+      if(r.season) throw new Error("That race has already started");
+      if(r.members.length >= gridSize(r)) throw new Error("That room is full");
+      const m = newMember(r.nextId++, msg.name);
+      if(r.members.some(x => x.name.toLowerCase() === m.name.toLowerCase())) throw new Error(`"${m.name}" is already in that room`);
+      r.members.push(m);
+      session.room = r; session.member = m;
+      attach(r, m, conn);
+      break;
+    }
+    case "resume": {
+      const r = rooms.get(Engine.normalizeSeedCode(msg.room));
+      const m = r && r.members.find(x => x.token === msg.token);
+      if(!m) throw new Error("That seat is gone — join again");
+      const old = m.socket;
+      session.room = r; session.member = m;
+      attach(r, m, conn);
+      if(old && old !== conn) old.close(4000); // newest tab wins
+      break;
+    }
+    case "car": {
+      if(!room || room.season) throw new Error("Cars are chosen in the lobby");
+      const idx = Engine.toInt(msg.carIndex, -1);
+      if(!room.cards.cars[idx]) throw new Error("Unknown car");
+      const owner = room.members.find(x => x !== member && x.carIndex === idx);
+      if(owner) throw new Error(`${room.cards.cars[idx]["Car"]} is already taken by ${owner.name}`);
+      member.carIndex = idx;
+      break;
+    }
+    case "start":
+      if(!room || room.season) throw new Error("Nothing to start");
+      if(room.hostId !== member.id) throw new Error("Only the host can start the race");
+      startRoom(room);
+      break;
+    case "pick":
+      if(!room) throw new Error("Join a room first");
+      pick(room, member, msg.upgrade);
+      break;
+    case "leave":
+      if(!room) return;
+      session.room = session.member = null;
+      dropMember(room, member, 0);
+      return;
+    default:
+      throw new Error(`Unknown message "${msg.type}"`);
+  }
+  broadcast(session.room);
+}
+
+function serveStatic(req, res){
+  let urlPath;
+  try { urlPath = decodeURIComponent(new URL(req.url, "http://x").pathname); }
+  catch { res.writeHead(400); res.end("Bad request"); return; } // malformed %-escapes
+  const file = path.normalize(path.join(ROOT, urlPath === "/" ? "index.html" : urlPath));
+  if(!file.startsWith(ROOT + path.sep) || !MIME[path.extname(file).toLowerCase()]){
+    res.writeHead(404); res.end("Not found"); return;
+  }
+  fs.readFile(file, (err, body) => {
+    if(err){ res.writeHead(404); res.end("Not found"); return; }
+    res.writeHead(200, { "Content-Type":MIME[path.extname(file).toLowerCase()], "Cache-Control":"no-cache" });
+    res.end(body);
+  });
+}
+
+function main(){
+  const args = parseArgs(process.argv.slice(2));
+  if(args.help){
+    console.log("Usage: node server/relay.js [--port 8080] [--host 0.0.0.0] [--grace SECONDS]");
+    return;
+  }
+  // one bad request must never take the rooms down with it
+  const server = http.createServer((req, res) => {
+    try { serveStatic(req, res); }
+    catch (e){
+      console.error("Request failed:", req.url, e);
+      if(!res.headersSent) res.writeHead(500);
+      res.end("Server error");
+    }
+  });
+  const sockets = new Set();
+  server.on("upgrade", (req, socket) => {
+    let pathname;
+    try { pathname = new URL(req.url, "http://x").pathname; } catch { pathname = null; }
+    if(pathname !== "/ws"){ socket.destroy(); return; }
+    const conn = acceptWebSocket(req, socket);
+    if(!conn) return;
+    const session = { room:null, member:null };
+    sockets.add(conn);
+    conn.on("message", text => {
+      let msg;
+      try { msg = JSON.parse(text); } catch { conn.send(JSON.stringify({type:"error", message:"Bad message"})); return; }
+      try { handle(conn, session, msg); }
+      catch (e){ conn.send(JSON.stringify({type:"error", message:e.message})); }
+    });
+    conn.on("close", () => {
+      sockets.delete(conn);
+      const {room, member} = session;
+      if(room && member && member.socket === conn) dropMember(room, member, args.grace);
+    });
+  });
+  setInterval(() => sockets.forEach(c => c.alive ? c.ping() : c.terminate()), HEARTBEAT_MS).unref();
+
+  server.on("error", e => { console.error(`relay: ${e.message}`); process.exit(1); });
+  server.listen(args.port, args.host, () => {
+    console.log(`Overdr1ve server on port ${args.port}. Open one of these on each phone:`);
+    const nets = Object.values(os.networkInterfaces()).flat().filter(n => n && n.family === "IPv4");
+    nets.forEach(n => console.log(`  http://${n.address}:${args.port}/`));
+  });
+}
+
+try { main(); }
+catch (e){ console.error(`relay: ${e.message}`); process.exit(1); }
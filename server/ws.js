@@ -0,0 +1,130 @@
+// Overdr1ve — minimal WebSocket server side (RFC 6455, no dependencies)
+//
+// Just what the relay needs: the upgrade handshake, text messages (fragmented
+// or not), ping/pong and close. No extensions, no binary messages.
+"use strict";
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OP = { continuation:0x0, text:0x1, binary:0x2, close:0x8, ping:0x9, pong:0xA };
+
+// Frame header + payload (server frames are never masked).
+function encodeFrame(opcode, payload){
+  const len = payload.length;
+  let head;
+  if(len < 126){ head = Buffer.from([0x80 | opcode, len]); }
+  else if(len < 65536){ head = Buffer.alloc(4); head[0] = 0x80 | opcode; head[1] = 126; head.writeUInt16BE(len, 2); }
+  else { head = Buffer.alloc(10); head[0] = 0x80 | opcode; head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+  return Buffer.concat([head, payload]);
+}
+
+// One frame from the front of buf: null = need more bytes, {error} = close code.
+function parseFrame(buf, maxPayload){
+  if(buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0, opcode = buf[0] & 0x0f, masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f, off = 2;
+  if(len === 126){
+    if(buf.length < 4) return null;
+    len = buf.readUInt16BE(2); off = 4;
+  } else if(len === 127){
+    if(buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    if(big > BigInt(maxPayload)) return { error:1009 };
+    len = Number(big); off = 10;
+  }
+  if(len > maxPayload) return { error:1009 };
+  if(!masked) return { error:1002 }; // clients must mask
+  if(buf.length < off + 4 + len) return null;
+  const mask = buf.subarray(off, off + 4);
+  const payload = Buffer.alloc(len);
+  for(let i = 0; i < len; i++) payload[i] = buf[off + 4 + i] ^ mask[i & 3];
+  return { fin, opcode, payload, size: off + 4 + len };
+}
+
+// Events: "message" (string), "close". `alive` is cleared by ping() and set
+// again by the client's pong, for the relay's heartbeat.
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, maxPayload){
+    super();
+    this.socket = socket;
+    this.maxPayload = maxPayload;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;
+    this.open = true;
+    this.alive = true;
+    socket.setNoDelay(true);
+    socket.on("data", chunk => this.onData(chunk));
+    socket.on("close", () => this.finish());
+    socket.on("error", () => this.finish());
+  }
+  onData(chunk){
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while(this.open){
+      const frame = parseFrame(this.buffer, this.maxPayload);
+      if(!frame) return;
+      if(frame.error){ this.close(frame.error); return; }
+      this.buffer = this.buffer.subarray(frame.size);
+      this.onFrame(frame);
+    }
+  }
+  onFrame({fin, opcode, payload}){
+    switch(opcode){
+      case OP.text:
+      case OP.continuation: {
+        if(opcode === OP.text) this.fragments = [];
+        if(!this.fragments){ this.close(1002); return; }
+        this.fragments.push(payload);
+        if(Buffer.concat(this.fragments).length > this.maxPayload){ this.close(1009); return; }
+        if(fin){
+          const text = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = null;
+          this.emit("message", text);
+        }
+        return;
+      }
+      case OP.binary: this.close(1003); return;
+      case OP.close: this.close(1000); return;
+      case OP.ping: this.write(OP.pong, payload); return;
+      case OP.pong: this.alive = true; return;
+      default: this.close(1002);
+    }
+  }
+  write(opcode, payload){ if(this.open) this.socket.write(encodeFrame(opcode, payload)); }
+  send(text){ this.write(OP.text, Buffer.from(text, "utf8")); }
+  ping(){ this.alive = false; this.write(OP.ping, Buffer.alloc(0)); }
+  close(code=1000){
+    if(!this.open) return;
+    const body = Buffer.alloc(2); body.writeUInt16BE(code, 0);
+    this.write(OP.close, body);
+    this.socket.end();
+    this.finish();
+  }
+  terminate(){ this.socket.destroy(); this.finish(); }
+  finish(){
+    if(!this.open) return;
+    this.open = false;
+    this.emit("close");
+  }
+}
+
+// Completes the HTTP upgrade; returns the connection, or null after
+// answering 400 to a request that isn't a WebSocket handshake.
+function acceptWebSocket(req, socket, {maxPayload = 1 << 20} = {}){
+  const key = req.headers["sec-websocket-key"];
+  if(!key || String(req.headers.upgrade).toLowerCase() !== "websocket"){
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+  const accept = crypto.createHash("sha1").update(key + GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "", "",
+  ].join("\r\n"));
+  return new WebSocketConnection(socket, maxPayload);
+}
+
+module.exports = { acceptWebSocket, encodeFrame, parseFrame };
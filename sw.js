@@ -0,0 +1,115 @@
+// Overdr1ve — service worker: keeps the game playable with no network.
+//   shell cache: the page, scripts, styles and manifest (cache first)
+//   cards cache: the three CSVs (network first, so edits show up when online)
+//                and the art they name under card_images/ (cache first)
+// Bump APP_VERSION with the ?v= query in index.html, and CARD_DATA_VERSION
+// when data_csv/ or card_images/ change; the old caches are dropped on activate.
+importScripts("engine.js");
+const { parseCSV, CARD_SCHEMA } = self.Overdr1veEngine;
+
+const APP_VERSION = "12";
+const CARD_DATA_VERSION = "1";
+const SHELL_CACHE = `overdr1ve-shell-v${APP_VERSION}`;
+const CARDS_CACHE = `overdr1ve-cards-v${CARD_DATA_VERSION}`;
+
+const SHELL_FILES = [
+  "./", "index.html", "styles.css", "manifest.webmanifest", "favicon.ico", "faivcon.png",
+  "engine.js", "i18n.js", "app.js", "raceview.js", "editor.js", "balance.js", "balance-worker.js",
+  "championship.js", "tournament.js", "report.js", "presenter.js", "draft.js", "online.js",
+  "presenter.html", "presenter-view.js",
+  "models/ppo_overdr1ve.json",
+];
+const CSV_FILES = ["data_csv/cars.csv", "data_csv/tracks.csv", "data_csv/upgrades.csv"];
+const ART_KINDS = { "cars.csv": "cars", "tracks.csv": "tracks", "upgrades.csv": "upgrades" };
+
+// Same paths as getCardImagePath() in app.js, for every card in the CSVs.
+function artPaths(csvTexts){
+  const paths = [];
+  for (const [file, sc] of Object.entries(CARD_SCHEMA)) {
+    const text = csvTexts[`data_csv/${file}`];
+    if (!text) continue;
+    for (const card of parseCSV(text)) {
+      const name = String(card[sc.name] || "").trim();
+      if (name) paths.push(`card_images/${ART_KINDS[file]}/${encodeURIComponent(name)}.png`);
+    }
+  }
+  return paths;
+}
+
+async function precacheCards(){
+  const cache = await caches.open(CARDS_CACHE);
+  const texts = {};
+  await Promise.all(CSV_FILES.map(async f => {
+    const res = await fetch(f, { cache: "reload" });
+    if (!res.ok) throw new Error(`Failed to cache ${f}: ${res.status}`);
+    texts[f] = await res.clone().text();
+    await cache.put(f, res);
+  }));
+  // missing art is only a data-check warning, so it mustn't fail the install
+  await Promise.allSettled(artPaths(texts).map(p => cache.add(new Request(p, { cache: "reload" }))));
+}
+
+self.addEventListener("install", e => {
+  e.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES.map(f => new Request(f, { cache: "reload" })));
+    await precacheCards();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", e => {
+  e.waitUntil((async () => {
+    const keep = [SHELL_CACHE, CARDS_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith("overdr1ve-") && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// ---------- Fetch ----------
+// Scripts carry a ?v= cache-buster, so lookups ignore the query string.
+// HEAD requests (the card art check) are answered from the cached GET.
+async function fromCache(req){
+  return caches.match(req, { ignoreSearch: true, ignoreMethod: true });
+}
+function forMethod(req, res){
+  return req.method === "HEAD" ? new Response(null, { status: res.status, headers: res.headers }) : res;
+}
+
+async function networkFirst(req){
+  try {
+    const res = await fetch(req);
+    if (res.ok && req.method === "GET") (await caches.open(CARDS_CACHE)).put(req.url.split("?")[0], res.clone());
+    return res;
+  } catch (err) {
+    const hit = await fromCache(req);
+    if (hit) return forMethod(req, hit);
+    throw err;
+  }
+}
+async function cacheFirst(req, cacheName){
+  const hit = await fromCache(req);
+  if (hit) return forMethod(req, hit);
+  const res = await fetch(req);
+  if (res.ok && req.method === "GET" && cacheName) (await caches.open(cacheName)).put(req, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", e => {
+  const req = e.request;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin || (req.method !== "GET" && req.method !== "HEAD")) return;
+  const rel = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+
+  if (req.mode === "navigate") {
+    e.respondWith(fetch(req).catch(async () => (await fromCache(req)) || caches.match("index.html")));
+  } else if (rel.startsWith("data_csv/")) {
+    e.respondWith(networkFirst(req));
+  } else if (rel.startsWith("card_images/")) {
+    e.respondWith(cacheFirst(req, CARDS_CACHE));
+  } else {
+    e.respondWith(cacheFirst(req, null));
+  }
+});
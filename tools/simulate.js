@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Overdr1ve — batch season simulator (Node, no dependencies)
+//
+//   node tools/simulate.js --seasons 1000 --mode greedy --out leaderboard.csv
+//
+// Runs all-bot seasons through engine.js (the same rules as the browser) and
+// writes a leaderboard shaped like
+// data_experiment/results_csv/final_greedy_leaderboard_1000.csv.
+"use strict";
+const fs = require("fs");
+const path = require("path");
+const Engine = require("../engine.js");
+
+const HEADERS = ["Player ID","Car","Total Points","Avg Rank","Wins","Finishes","Rank","Simulation Size","Mode"];
+
+// --cars/--tracks/--points/--dnf-points/--hand override the --rules preset
+const RULE_FLAGS = { cars:"fieldSize", tracks:"trackCount", points:"points", "dnf-points":"dnfPoints", hand:"upgradeHand" };
+
+function parseArgs(argv){
+  const args = { seasons:1000, mode:"greedy", data:"data_csv", seed:"SIM", out:null, rules:"standard", policy:null,
+                 cars:null, tracks:null, points:null, "dnf-points":null, hand:null };
+  for(let i=0;i<argv.length;i++){
+    const a = argv[i];
+    if(a === "-h" || a === "--help"){ args.help = true; continue; }
+    if(!a.startsWith("--")) throw new Error(`Unexpected argument: ${a}`);
+    const key = a.slice(2), val = argv[++i];
+    if(!(key in args) || val === undefined) throw new Error(`Unknown or incomplete option: ${a}`);
+    args[key] = key === "seasons" ? Engine.toInt(val) : val;
+  }
+  return args;
+}
+
+function buildRules(args){
+  const preset = Engine.RULE_PRESETS[args.rules];
+  if(!preset) throw new Error(`Unknown rules "${args.rules}" (expected: ${Object.keys(Engine.RULE_PRESETS).join(", ")})`);
+  const rules = { ...preset.rules };
+  for(const [flag, key] of Object.entries(RULE_FLAGS)) if(args[flag] !== null) rules[key] = args[flag];
+  return Engine.normalizeRules(rules);
+}
+
+// Refuses to simulate on card data with errors (see validateCards()).
+function readCards(dir){
+  const read = f => Engine.parseCSV(fs.readFileSync(path.join(dir, f), "utf8"));
+  const raw = { cars:read("cars.csv"), tracks:read("tracks.csv"), upgrades:read("upgrades.csv") };
+  const issues = Engine.validateCards(raw);
+  for(const i of issues) console.error(`${i.severity}: ${path.join(dir, i.file)} row ${i.row}, ${i.column}: ${i.message}`);
+  if(issues.some(i => i.severity === "error")) throw new Error("card data has errors");
+  return Engine.loadCards(raw);
+}
+
+// Aggregate per seat across all seasons (seat N = Nth car in CSV order).
+// Under draft rules a seat drives a different car every season, so rows are
+// per car instead, with the id its seat has without a draft.
+// Every seat plays the `mode` strategy.
+function simulate(cards, rules, {seasons, mode, seed}){
+  const strategies = cards.cars.map(() => mode);
+  const carSeat = new Map(cards.cars.map((c, i) => [c["Car"], i + 1]));
+  const agg = new Map(); // id -> {car, points, rankSum, races, wins, finishes}
+  for(let run=0; run<seasons; run++){
+    const seats = Engine.buildSeats(cards.cars, [], {seatCount:rules.fieldSize, strategies});
+    const season = Engine.playSeason(Engine.startSeason(cards, {seed:`${seed}-${run}`, seats, rules}));
+    for(const {ranked} of season.resultsByTrack){
+      ranked.forEach((r,i)=>{
+        const id = rules.draft ? carSeat.get(r.car) : r.id;
+        const a = agg.get(id) || {car:r.car, points:0, rankSum:0, races:0, wins:0, finishes:0};
+        a.points += r.points; a.rankSum += i+1; a.races += 1;
+        if(!r.dnf) a.finishes += 1;
+        if(i === 0 && !r.dnf) a.wins += 1;
+        agg.set(id, a);
+      });
+    }
+  }
+  const label = Engine.STRATEGIES[mode].name;
+  return [...agg.entries()]
+    .sort(([ia,a],[ib,b]) => (b.points - a.points) || (ia - ib))
+    .map(([id,a],i) => [id, a.car, a.points, a.rankSum/a.races, a.wins, a.finishes, i+1, seasons, label]);
+}
+
+function main(){
+  const args = parseArgs(process.argv.slice(2));
+  if(args.help){
+    console.log("Usage: node tools/simulate.js [--seasons N] [--mode STRATEGY] [--seed CODE] [--data DIR] [--out FILE]\n" +
+                "                             [--rules PRESET] [--cars N] [--tracks N] [--points 25,18,...]\n" +
+                "                             [--dnf-points N] [--hand full|N] [--policy FILE]\n\n" +
+                "--mode ppo plays the policy from --policy (default models/ppo_overdr1ve.json).\n" +
+                `Strategies: ${Object.keys(Engine.STRATEGIES).join(", ")}\n` +
+                `Rule presets: ${Object.keys(Engine.RULE_PRESETS).join(", ")}`);
+    return;
+  }
+  const modes = Object.keys(Engine.STRATEGIES);
+  if(!modes.includes(args.mode)) throw new Error(`Unknown mode "${args.mode}" (expected: ${modes.join(", ")})`);
+  if(!(args.seasons > 0)) throw new Error("--seasons must be a positive number");
+
+  const rules = buildRules(args);
+  const cards = readCards(args.data);
+  if(args.mode === "ppo" || args.policy){
+    const file = args.policy || path.join(__dirname, "..", "models", "ppo_overdr1ve.json");
+    Engine.loadPolicy(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  const t0 = Date.now();
+  const csv = Engine.toCSV(HEADERS, simulate(cards, rules, args));
+  if(args.out){
+    fs.writeFileSync(args.out, csv);
+    console.error(`${args.seasons} ${args.mode} seasons in ${Date.now()-t0} ms -> ${args.out}`);
+  } else {
+    process.stdout.write(csv);
+  }
+}
+
+try { main(); }
+catch (e){ console.error(`simulate: ${e.message}`); process.exit(1); }
@@ -0,0 +1,158 @@
+// Overdr1ve — tournaments (loaded after championship.js)
+// For more visitors than the grid has seats: the names typed into setup are
+// drawn into heats (engine.js createTournament()), each heat is a short
+// hot-seat season with bots in the empty seats, and the top players of every
+// heat go through to the next round until the final. state.tournament rides
+// along in the autosave, so a reload carries on from the heat it was on.
+const {
+  createTournament, nextHeat, heatSeed, roundKind, heatQualifiers, recordHeat, unrecordHeat, tournamentWinner, shuffle,
+} = Overdr1veEngine;
+
+// ---------- Labels ----------
+function heatLabel(tour, {round, heat}){
+  return t(`tour.${roundKind(tour, round)}`, {n: heat + 1, r: round + 1});
+}
+function roundTitle(tour, r){
+  return t(`tour.${roundKind(tour, r)}s`, {r: r + 1});
+}
+
+// ---------- Setup ----------
+function tournamentNames(){
+  return $("#tournamentNames").value.split(/[\n,;]+/).map(s => s.trim()).filter(Boolean);
+}
+// Throws with a message for the setup panel if the names can't make a bracket.
+function draftTournament(seed){
+  if (tournamentNames().length < 2) throw new Error(t("tour.needTwo"));
+  if (gridSize() < 2) throw new Error(t("tour.needSeats"));
+  return createTournament(tournamentNames(), {
+    seed,
+    rules: { ...selectedRules, fieldSize: gridSize() },
+    trackCount: parseInt($("#tournamentTracks").value, 10) || undefined,
+  });
+}
+// "20 players: Heats ×3 → Semi-finals ×2 → Final", redrawn as names and rules change
+function renderTournamentPlan(){
+  const plan = $("#tournamentPlan");
+  if (!plan) return;
+  let tour;
+  try { tour = draftTournament(""); }
+  catch (e) { plan.textContent = e.message; $("#tournamentStartBtn").disabled = true; return; }
+  plan.textContent = t("tour.plan", {
+    n: tour.players.length,
+    rounds: tour.rounds.map((round, r) => round.heats.length > 1 ? `${roundTitle(tour, r)} ×${round.heats.length}` : roundTitle(tour, r)).join(" → "),
+  });
+  $("#tournamentStartBtn").disabled = false;
+}
+
+function startTournament(){
+  let tour;
+  try { tour = draftTournament($("#seedInput")?.value || ""); }
+  catch (e) { $("#tournamentPlan").textContent = e.message; return; }
+  state.championship = null;
+  state.tournament = tour;
+  playNextHeat();
+}
+// Heat entrants get distinct cars, dealt from the heat's seed so a replayed
+// heat gets the same ones.
+function playNextHeat(){
+  const tour = state.tournament;
+  const at = tour && nextHeat(tour);
+  if (!at) return;
+  clearTimeout(endModalTimer); // the heat just finished may not have shown it yet
+  $("#endModal").classList.remove("open");
+  const seed = heatSeed(tour, at);
+  const cars = shuffle(state.cars.map((_, i) => i), createRng(`${seed}/cars`));
+  const humans = tour.rounds[at.round].heats[at.heat].entrants.map((name, i) => ({ name, carIndex: cars[i] }));
+  startRace(humans, seed, tour.rules);
+  announce(t("tour.nowRacing", {heat: heatLabel(tour, at)}));
+}
+
+// ---------- Season end (championship.js) ----------
+function recordTournamentHeat(rows){
+  if (state.tournament && nextHeat(state.tournament)) recordHeat(state.tournament, rows);
+}
+function unrecordTournamentHeat(){
+  if (state.tournament) unrecordHeat(state.tournament);
+}
+
+// ---------- Bracket ----------
+// One column per round; a heat lists its entrants until it has been raced,
+// then the players' finishing positions with the qualifiers marked.
+function renderBracket(tour){
+  const wrap = el("div", "bracket");
+  const at = nextHeat(tour);
+  tour.rounds.forEach((round, r) => {
+    const col = el("section", "bracket-round");
+    col.appendChild(Object.assign(el("h4"), {textContent: roundTitle(tour, r)}));
+    round.heats.forEach((heat, h) => {
+      const box = el("div", "bracket-heat");
+      if (at?.round === r && at.heat === h) box.classList.add("current");
+      const title = el("div", "bracket-heat-title");
+      title.textContent = heatLabel(tour, {round: r, heat: h}) + (heat.advance ? ` · ${t("tour.advance", {n: heat.advance})}` : "");
+      const list = el("ul");
+      if (heat.results) {
+        const through = heatQualifiers(heat, heat.advance || 1);
+        heat.results.filter(x => x.isHuman).forEach(x => {
+          const item = el("li", through.includes(x.name) ? "qualified" : "");
+          item.textContent = `P${x.pos + 1} ${x.name} · ${t("advice.points", {n: x.points})}`;
+          list.appendChild(item);
+        });
+      } else if (heat.entrants) {
+        heat.entrants.forEach(name => list.appendChild(Object.assign(el("li"), {textContent: name})));
+      } else {
+        for (let i = 0; i < heat.size; i++) list.appendChild(Object.assign(el("li", "muted"), {textContent: t("tour.tbd")}));
+      }
+      box.append(title, list);
+      col.appendChild(box);
+    });
+    wrap.appendChild(col);
+  });
+  return wrap;
+}
+function tournamentStatus(tour){
+  const winner = tournamentWinner(tour);
+  if (winner) return `🏆 ${t("tour.winner", {name: winner})}`;
+  const at = nextHeat(tour);
+  if (!at) return "";
+  return t(isSeasonOver(state) ? "tour.upNext" : "tour.nowRacing", {heat: heatLabel(tour, at)});
+}
+
+// Race panel: redrawn on every race change. Its own "next heat" button is
+// the way on after a reload, when the end modal isn't showing.
+function renderBracketPanel(){
+  const panel = $("#bracketPanel");
+  const tour = state.started ? state.tournament : null;
+  panel.classList.toggle("hidden", !tour);
+  if (!tour) return;
+  const at = race.phase === "finished" && nextHeat(tour);
+  const next = $("#bracketNextBtn");
+  next.classList.toggle("hidden", !at);
+  if (at) next.textContent = t("tour.next", {heat: heatLabel(tour, at)});
+  $("#bracketStatus").textContent = tournamentStatus(tour);
+  $("#bracketView").replaceChildren(renderBracket(tour));
+}
+// End-of-race modal: the bracket so far and the button for the next heat
+function renderTournamentExtras(){
+  const host = $("#bracketBox");
+  const next = $("#nextHeatBtn");
+  const tour = state.tournament;
+  const at = tour && nextHeat(tour);
+  host.innerHTML = "";
+  host.classList.toggle("hidden", !tour);
+  next.classList.toggle("hidden", !at);
+  next.onclick = playNextHeat;
+  if (!tour) return;
+  if (at) next.textContent = t("tour.next", {heat: heatLabel(tour, at)});
+  host.appendChild(Object.assign(el("h3"), {textContent: t("tour.bracket")}));
+  host.appendChild(renderBracket(tour));
+  host.appendChild(Object.assign(el("p", tournamentWinner(tour) ? "champion" : "muted"), {textContent: tournamentStatus(tour)}));
+}
+
+function initTournamentUI(){
+  $("#tournamentStartBtn").onclick = startTournament;
+  $("#bracketNextBtn").onclick = playNextHeat;
+  $("#tournamentNames").oninput = renderTournamentPlan;
+  $("#tournamentTracks").oninput = renderTournamentPlan;
+  onRaceChange(renderBracketPanel);
+}
+initTournamentUI();